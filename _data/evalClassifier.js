@@ -0,0 +1,139 @@
+// Import required modules
+const fs = require('fs');
+const path = require('path');
+const { resolveThresholds, analyzePromptComplexity } = require('../promptClassifier');
+
+// Usage:
+//   npm run test:classifier                          score the labelled corpus
+//   node _data/evalClassifier.js --verbose           also list every misclassified prompt
+//   node _data/evalClassifier.js --set long_prompt_min_words=25
+//                                                    score with a threshold override
+//   node _data/evalClassifier.js --update-baseline   store the current scores as the baseline
+// Exits with status 1 when any per-class precision or recall, or the overall
+// accuracy, falls below the baseline stored in classifier_baseline.json.
+
+const corpusPath = path.join(__dirname, 'classifier_corpus.json');
+const baselinePath = path.join(__dirname, 'classifier_baseline.json');
+const CLASSES = ['simple', 'moderate', 'vague', 'detailed'];
+
+// Scores are compared after rounding, so float noise never fails the run
+const round = value => Number(value.toFixed(4));
+
+function parseOverrides(args) {
+    const overrides = {};
+    args.forEach((arg, index) => {
+        if (arg !== '--set') {
+            return;
+        }
+        const [name, value] = String(args[index + 1] || '').split('=');
+        overrides[name] = Number(value);
+    });
+    return overrides;
+}
+
+function scoreCorpus(cases, thresholds) {
+    const results = cases.map(({ prompt, expected }) => ({
+        prompt: prompt,
+        expected: expected,
+        ...analyzePromptComplexity(prompt, thresholds)
+    }));
+
+    const classes = {};
+    CLASSES.forEach(label => {
+        const truePositives = results.filter(result => result.expected === label && result.complexity === label).length;
+        const predicted = results.filter(result => result.complexity === label).length;
+        const actual = results.filter(result => result.expected === label).length;
+        classes[label] = {
+            precision: predicted > 0 ? round(truePositives / predicted) : 0,
+            recall: actual > 0 ? round(truePositives / actual) : 0,
+            support: actual
+        };
+    });
+
+    const correct = results.filter(result => result.expected === result.complexity).length;
+
+    return {
+        results: results,
+        scores: {
+            accuracy: results.length > 0 ? round(correct / results.length) : 0,
+            classes: classes
+        }
+    };
+}
+
+// Every metric that is lower than in the baseline
+function findRegressions(scores, baseline) {
+    const regressions = [];
+    if (scores.accuracy < baseline.accuracy) {
+        regressions.push(`accuracy ${baseline.accuracy} -> ${scores.accuracy}`);
+    }
+    CLASSES.forEach(label => {
+        const before = (baseline.classes || {})[label];
+        if (!before) {
+            return;
+        }
+        ['precision', 'recall'].forEach(metric => {
+            if (scores.classes[label][metric] < before[metric]) {
+                regressions.push(`${label} ${metric} ${before[metric]} -> ${scores.classes[label][metric]}`);
+            }
+        });
+    });
+    return regressions;
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const corpus = JSON.parse(fs.readFileSync(corpusPath, 'utf8'));
+
+    const thresholds = resolveThresholds(parseOverrides(args));
+    if (!thresholds) {
+        console.error('❌ --set expects name=value with a known threshold name and a non-negative number');
+        process.exit(1);
+    }
+
+    const unknownLabels = corpus.cases.filter(entry => !CLASSES.includes(entry.expected));
+    if (unknownLabels.length > 0) {
+        console.error(`❌ Unknown expected bucket in corpus: ${unknownLabels.map(entry => entry.expected).join(', ')}`);
+        process.exit(1);
+    }
+
+    const { results, scores } = scoreCorpus(corpus.cases, thresholds);
+
+    console.log(`Classifier corpus: ${results.length} prompt(s)\n`);
+    console.log('class      precision  recall  support');
+    CLASSES.forEach(label => {
+        const { precision, recall, support } = scores.classes[label];
+        console.log(`${label.padEnd(10)} ${precision.toFixed(2).padStart(9)}  ${recall.toFixed(2).padStart(6)}  ${String(support).padStart(7)}`);
+    });
+    console.log(`\naccuracy: ${scores.accuracy.toFixed(2)}`);
+
+    const misses = results.filter(result => result.expected !== result.complexity);
+    if (args.includes('--verbose') && misses.length > 0) {
+        console.log('\nMisclassified:');
+        misses.forEach(result => {
+            console.log(`  [${result.expected} -> ${result.complexity} via ${result.rule}] ${result.prompt}`);
+        });
+    }
+
+    if (args.includes('--update-baseline')) {
+        fs.writeFileSync(baselinePath, `${JSON.stringify(scores, null, 4)}\n`);
+        console.log('\n📌 Baseline updated');
+        return;
+    }
+
+    if (!fs.existsSync(baselinePath)) {
+        console.log('\nNo baseline stored yet - run with --update-baseline to record one');
+        return;
+    }
+
+    const baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+    const regressions = findRegressions(scores, baseline);
+    if (regressions.length > 0) {
+        console.error('\n❌ Regressions against the baseline:');
+        regressions.forEach(regression => console.error(`  ${regression}`));
+        process.exit(1);
+    }
+    console.log('\n✅ No regressions against the baseline');
+}
+
+main();
@@ -0,0 +1,72 @@
+// Import required modules
+const fs = require('fs');
+const path = require('path');
+const { CITATION_PATTERN, validateGuide } = require('../guideSchema');
+
+// Usage:
+//   npm run lint:guides                        lint every guide in _data/guides
+//   node _data/lintGuides.js gpt_guide.json    lint specific files
+//   node _data/lintGuides.js --fix             strip citation markers, then lint
+// Exits with status 1 when any guide has errors. Warnings never fail the run.
+
+const guidesDir = path.join(__dirname, 'guides');
+
+function main() {
+    const args = process.argv.slice(2);
+    const fix = args.includes('--fix');
+    const requested = args.filter(arg => !arg.startsWith('--'));
+    const guideFiles = requested.length > 0
+        ? requested
+        : fs.readdirSync(guidesDir).filter(file => file.endsWith('.json'));
+
+    let errorCount = 0;
+    let warningCount = 0;
+
+    for (const file of guideFiles) {
+        const guidePath = path.isAbsolute(file) || fs.existsSync(file) ? file : path.join(guidesDir, file);
+        let raw;
+
+        try {
+            raw = fs.readFileSync(guidePath, 'utf8');
+        } catch (error) {
+            console.error(`❌ ${file}: cannot read file (${error.message})`);
+            errorCount++;
+            continue;
+        }
+
+        // Markers only ever sit inside JSON strings, so removing them keeps the file valid
+        const stripped = raw.replace(CITATION_PATTERN, '');
+        if (fix && stripped !== raw) {
+            raw = stripped;
+            fs.writeFileSync(guidePath, raw);
+            console.log(`🧹 ${file}: removed citation markers`);
+        }
+
+        let guideFile;
+        try {
+            guideFile = JSON.parse(raw);
+        } catch (error) {
+            console.error(`❌ ${file}: invalid JSON (${error.message})`);
+            errorCount++;
+            continue;
+        }
+
+        const { errors, warnings } = validateGuide(guideFile);
+        errorCount += errors.length;
+        warningCount += warnings.length;
+
+        if (errors.length === 0 && warnings.length === 0) {
+            console.log(`✅ ${file}`);
+            continue;
+        }
+
+        console.log(`${errors.length > 0 ? '❌' : '⚠️ '} ${file}`);
+        errors.forEach(issue => console.log(`   error    ${issue.path} ${issue.message}`));
+        warnings.forEach(issue => console.log(`   warning  ${issue.path} ${issue.message}`));
+    }
+
+    console.log(`\n${errorCount} error(s), ${warningCount} warning(s) in ${guideFiles.length} guide(s)`);
+    process.exit(errorCount > 0 ? 1 : 0);
+}
+
+main();
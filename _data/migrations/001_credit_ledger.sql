@@ -0,0 +1,148 @@
+-- =============================================================================
+-- CREDIT LEDGER
+-- Append-only record of every credit movement plus atomic helpers that keep
+-- users.credits_remaining and the ledger in sync.
+-- =============================================================================
+
+create table if not exists public.credit_transactions (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references public.users(id) on delete cascade,
+    type text not null check (type in ('grant', 'reset', 'spend', 'refund')),
+    amount integer not null,            -- signed: spends are negative
+    balance_after integer not null,
+    reason text,
+    related_transaction_id uuid references public.credit_transactions(id),
+    created_at timestamptz not null default now()
+);
+
+create index if not exists credit_transactions_user_created_idx
+    on public.credit_transactions (user_id, created_at desc);
+
+-- A spend can only be refunded once
+create unique index if not exists credit_transactions_single_refund_idx
+    on public.credit_transactions (related_transaction_id)
+    where type = 'refund';
+
+-- The ledger is append-only
+create or replace function public.prevent_credit_transaction_changes()
+returns trigger
+language plpgsql
+as $$
+begin
+    raise exception 'credit_transactions is append-only';
+end;
+$$;
+
+drop trigger if exists credit_transactions_append_only on public.credit_transactions;
+create trigger credit_transactions_append_only
+    before update or delete on public.credit_transactions
+    for each row execute function public.prevent_credit_transaction_changes();
+
+-- Atomically take credits from a user. Returns no rows when the balance is too low.
+create or replace function public.spend_credits(p_user_id uuid, p_amount integer, p_reason text default null)
+returns table (transaction_id uuid, balance_after integer)
+language plpgsql
+as $$
+declare
+    v_balance integer;
+    v_transaction_id uuid;
+begin
+    update public.users
+       set credits_remaining = credits_remaining - p_amount,
+           last_used_at = now()
+     where id = p_user_id
+       and credits_remaining >= p_amount
+    returning credits_remaining into v_balance;
+
+    if not found then
+        return;
+    end if;
+
+    insert into public.credit_transactions (user_id, type, amount, balance_after, reason)
+    values (p_user_id, 'spend', -p_amount, v_balance, p_reason)
+    returning id into v_transaction_id;
+
+    return query select v_transaction_id, v_balance;
+end;
+$$;
+
+-- Give back the credits taken by a spend transaction. Refunding twice is a no-op.
+create or replace function public.refund_credits(p_transaction_id uuid, p_reason text default null)
+returns table (transaction_id uuid, balance_after integer)
+language plpgsql
+as $$
+declare
+    v_spend public.credit_transactions%rowtype;
+    v_balance integer;
+    v_transaction_id uuid;
+begin
+    select * into v_spend
+      from public.credit_transactions
+     where id = p_transaction_id and type = 'spend'
+       for update;
+
+    if not found then
+        return;
+    end if;
+
+    if exists (select 1 from public.credit_transactions
+                where related_transaction_id = p_transaction_id and type = 'refund') then
+        return;
+    end if;
+
+    update public.users
+       set credits_remaining = credits_remaining - v_spend.amount
+     where id = v_spend.user_id
+    returning credits_remaining into v_balance;
+
+    insert into public.credit_transactions (user_id, type, amount, balance_after, reason, related_transaction_id)
+    values (v_spend.user_id, 'refund', -v_spend.amount, v_balance, p_reason, p_transaction_id)
+    returning id into v_transaction_id;
+
+    return query select v_transaction_id, v_balance;
+end;
+$$;
+
+-- Reset a user's balance, but only if nobody else reset it since we last read
+-- last_credit_reset (compare-and-swap). Returns no rows when the swap lost.
+create or replace function public.reset_credits(
+    p_user_id uuid,
+    p_amount integer,
+    p_expected_last_reset timestamptz,
+    p_reason text default null
+)
+returns table (transaction_id uuid, balance_after integer)
+language plpgsql
+as $$
+declare
+    v_transaction_id uuid;
+begin
+    update public.users
+       set credits_remaining = p_amount,
+           last_credit_reset = now()
+     where id = p_user_id
+       and last_credit_reset is not distinct from p_expected_last_reset;
+
+    if not found then
+        return;
+    end if;
+
+    insert into public.credit_transactions (user_id, type, amount, balance_after, reason)
+    values (p_user_id, 'reset', p_amount, p_amount, p_reason)
+    returning id into v_transaction_id;
+
+    return query select v_transaction_id, p_amount;
+end;
+$$;
+
+-- Only the server moves credits, using the service role key. Supabase lets
+-- anon and authenticated call new functions unless told otherwise.
+revoke execute on function public.spend_credits(uuid, integer, text) from public, anon, authenticated;
+revoke execute on function public.refund_credits(uuid, text) from public, anon, authenticated;
+revoke execute on function public.reset_credits(uuid, integer, timestamptz, text) from public, anon, authenticated;
+grant execute on function public.spend_credits(uuid, integer, text) to service_role;
+grant execute on function public.refund_credits(uuid, text) to service_role;
+grant execute on function public.reset_credits(uuid, integer, timestamptz, text) to service_role;
+
+-- No policies: only the service role (which bypasses RLS) reads the ledger
+alter table public.credit_transactions enable row level security;
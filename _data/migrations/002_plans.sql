@@ -0,0 +1,9 @@
+-- =============================================================================
+-- PLANS
+-- Plan tiers themselves live in _data/plans.json; the database only records
+-- which plan each user is on and the timezone used for calendar resets.
+-- =============================================================================
+
+alter table public.users
+    add column if not exists plan text not null default 'free',
+    add column if not exists timezone text not null default 'UTC';
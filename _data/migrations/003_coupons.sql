@@ -0,0 +1,196 @@
+-- =============================================================================
+-- COUPON ENGINE
+-- Coupon types, expiry and redemption limits, plus an audit table of every
+-- redemption. Existing coupons keep granting unlimited access.
+-- =============================================================================
+
+alter table public.super_coupons
+    add column if not exists coupon_type text not null default 'unlimited'
+        check (coupon_type in ('unlimited', 'credits', 'plan_upgrade')),
+    add column if not exists credit_amount integer,
+    add column if not exists plan text,
+    add column if not exists plan_duration_days integer,
+    add column if not exists expires_at timestamptz,
+    add column if not exists max_redemptions integer,
+    add column if not exists redemption_count integer not null default 0;
+
+-- A coupon must carry what it grants: credits coupons a positive amount,
+-- plan upgrades the plan
+alter table public.super_coupons
+    drop constraint if exists super_coupons_credit_amount_check,
+    drop constraint if exists super_coupons_plan_check;
+
+alter table public.super_coupons
+    add constraint super_coupons_credit_amount_check
+        check (coupon_type <> 'credits' or (credit_amount is not null and credit_amount > 0)),
+    add constraint super_coupons_plan_check
+        check (coupon_type <> 'plan_upgrade' or plan is not null);
+
+-- Time-limited plan upgrades granted by coupons. bonus_credits is the part of
+-- credits_remaining that came from credits coupons and survives resets.
+alter table public.users
+    add column if not exists plan_upgrade text,
+    add column if not exists plan_upgrade_expires_at timestamptz,
+    add column if not exists bonus_credits integer not null default 0;
+
+create table if not exists public.coupon_redemptions (
+    id uuid primary key default gen_random_uuid(),
+    coupon_id uuid not null references public.super_coupons(id) on delete cascade,
+    user_id uuid not null references public.users(id) on delete cascade,
+    coupon_type text not null,
+    credits_granted integer,
+    plan_granted text,
+    plan_expires_at timestamptz,
+    redeemed_at timestamptz not null default now(),
+    unique (coupon_id, user_id)
+);
+
+-- Validate and apply a coupon in one transaction.
+-- status is one of: redeemed, not_found, inactive, expired, exhausted, already_redeemed,
+-- already_unlimited (an unlimited coupon for a user who already has unlimited access)
+create or replace function public.redeem_coupon(p_coupon_code text, p_user_id uuid)
+returns table (
+    status text,
+    coupon_type text,
+    credits_granted integer,
+    plan_granted text,
+    plan_expires_at timestamptz,
+    balance_after integer
+)
+language plpgsql
+as $$
+declare
+    v_coupon public.super_coupons%rowtype;
+    v_balance integer;
+    v_plan_expires_at timestamptz;
+begin
+    -- Lock the coupon so concurrent redemptions see an up-to-date count
+    select * into v_coupon
+      from public.super_coupons
+     where super_coupons.coupon_code = p_coupon_code
+       for update;
+
+    if not found then
+        return query select 'not_found'::text, null::text, null::integer, null::text, null::timestamptz, null::integer;
+        return;
+    end if;
+
+    if not v_coupon.is_active then
+        return query select 'inactive'::text, v_coupon.coupon_type, null::integer, null::text, null::timestamptz, null::integer;
+        return;
+    end if;
+
+    if v_coupon.expires_at is not null and v_coupon.expires_at <= now() then
+        return query select 'expired'::text, v_coupon.coupon_type, null::integer, null::text, null::timestamptz, null::integer;
+        return;
+    end if;
+
+    if exists (select 1 from public.coupon_redemptions r
+                where r.coupon_id = v_coupon.id and r.user_id = p_user_id) then
+        return query select 'already_redeemed'::text, v_coupon.coupon_type, null::integer, null::text, null::timestamptz, null::integer;
+        return;
+    end if;
+
+    if v_coupon.max_redemptions is not null and v_coupon.redemption_count >= v_coupon.max_redemptions then
+        return query select 'exhausted'::text, v_coupon.coupon_type, null::integer, null::text, null::timestamptz, null::integer;
+        return;
+    end if;
+
+    -- Only a grant that adds nothing is refused; credits and plan upgrades still apply
+    if v_coupon.coupon_type = 'unlimited'
+       and exists (select 1 from public.users u where u.id = p_user_id and u.has_unlimited_access) then
+        return query select 'already_unlimited'::text, v_coupon.coupon_type, null::integer, null::text, null::timestamptz, null::integer;
+        return;
+    end if;
+
+    if v_coupon.coupon_type = 'credits' then
+        update public.users
+           set credits_remaining = credits_remaining + v_coupon.credit_amount,
+               bonus_credits = bonus_credits + v_coupon.credit_amount
+         where id = p_user_id
+        returning credits_remaining into v_balance;
+
+        insert into public.credit_transactions (user_id, type, amount, balance_after, reason)
+        values (p_user_id, 'grant', v_coupon.credit_amount, v_balance, 'coupon:' || v_coupon.coupon_code);
+
+    elsif v_coupon.coupon_type = 'plan_upgrade' then
+        v_plan_expires_at := now() + make_interval(days => coalesce(v_coupon.plan_duration_days, 30));
+
+        update public.users
+           set plan_upgrade = v_coupon.plan,
+               plan_upgrade_expires_at = v_plan_expires_at
+         where id = p_user_id
+        returning credits_remaining into v_balance;
+
+    else
+        update public.users
+           set has_unlimited_access = true
+         where id = p_user_id
+        returning credits_remaining into v_balance;
+    end if;
+
+    insert into public.coupon_redemptions (coupon_id, user_id, coupon_type, credits_granted, plan_granted, plan_expires_at)
+    values (
+        v_coupon.id,
+        p_user_id,
+        v_coupon.coupon_type,
+        case when v_coupon.coupon_type = 'credits' then v_coupon.credit_amount end,
+        case when v_coupon.coupon_type = 'plan_upgrade' then v_coupon.plan end,
+        v_plan_expires_at
+    );
+
+    update public.super_coupons
+       set redemption_count = redemption_count + 1
+     where id = v_coupon.id;
+
+    return query select
+        'redeemed'::text,
+        v_coupon.coupon_type,
+        case when v_coupon.coupon_type = 'credits' then v_coupon.credit_amount end,
+        case when v_coupon.coupon_type = 'plan_upgrade' then v_coupon.plan end,
+        v_plan_expires_at,
+        v_balance;
+end;
+$$;
+
+-- Replaces the version in 001_credit_ledger.sql: a reset refills the plan
+-- allowance on top of the unspent bonus credits. Plan credits count as spent
+-- first, so whatever is left of the balance up to bonus_credits is still bonus.
+create or replace function public.reset_credits(
+    p_user_id uuid,
+    p_amount integer,
+    p_expected_last_reset timestamptz,
+    p_reason text default null
+)
+returns table (transaction_id uuid, balance_after integer)
+language plpgsql
+as $$
+declare
+    v_balance integer;
+    v_transaction_id uuid;
+begin
+    update public.users
+       set credits_remaining = p_amount + least(bonus_credits, greatest(credits_remaining, 0)),
+           bonus_credits = least(bonus_credits, greatest(credits_remaining, 0)),
+           last_credit_reset = now()
+     where id = p_user_id
+       and last_credit_reset is not distinct from p_expected_last_reset
+    returning credits_remaining into v_balance;
+
+    if not found then
+        return;
+    end if;
+
+    insert into public.credit_transactions (user_id, type, amount, balance_after, reason)
+    values (p_user_id, 'reset', p_amount, v_balance, p_reason)
+    returning id into v_transaction_id;
+
+    return query select v_transaction_id, v_balance;
+end;
+$$;
+
+-- Only the server redeems coupons, using the service role key
+revoke execute on function public.redeem_coupon(text, uuid) from public, anon, authenticated;
+grant execute on function public.redeem_coupon(text, uuid) to service_role;
+
+alter table public.coupon_redemptions enable row level security;
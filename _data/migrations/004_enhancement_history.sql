@@ -0,0 +1,30 @@
+-- =============================================================================
+-- ENHANCEMENT HISTORY
+-- Every successful enhancement, unless the user has switched history off.
+-- =============================================================================
+
+alter table public.users
+    add column if not exists history_enabled boolean not null default true;
+
+create table if not exists public.enhancement_history (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references public.users(id) on delete cascade,
+    platform text not null,
+    original_prompt text not null,
+    enhanced_prompt text not null,
+    complexity text,
+    task_type text,
+    is_favorite boolean not null default false,
+    source_history_id uuid references public.enhancement_history(id) on delete set null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists enhancement_history_user_created_idx
+    on public.enhancement_history (user_id, created_at desc);
+
+create index if not exists enhancement_history_user_favorite_idx
+    on public.enhancement_history (user_id)
+    where is_favorite;
+
+-- No policies: only the server (service role) reads and writes history
+alter table public.enhancement_history enable row level security;
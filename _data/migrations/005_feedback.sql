@@ -0,0 +1,72 @@
+-- =============================================================================
+-- ENHANCEMENT FEEDBACK
+-- Thumbs up/down on enhancements plus the text the user actually sent, so
+-- each complexity strategy and platform guide can be measured.
+-- =============================================================================
+
+create table if not exists public.enhancement_feedback (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references public.users(id) on delete cascade,
+    history_id uuid references public.enhancement_history(id) on delete set null,
+    platform text not null,
+    complexity text not null,
+    rating text not null check (rating in ('up', 'down')),
+    reason text,
+    final_text text,
+    edit_distance integer,              -- word-level edits from enhanced to final text
+    normalized_edit_distance numeric,   -- edit_distance / longer text's word count
+    created_at timestamptz not null default now()
+);
+
+create index if not exists enhancement_feedback_created_idx
+    on public.enhancement_feedback (created_at desc);
+
+-- One rating per user and enhancement, so repeated feedback cannot skew the
+-- stats; the server upserts on this key. Older duplicates are dropped first.
+delete from public.enhancement_feedback older
+ using public.enhancement_feedback newer
+ where older.user_id = newer.user_id
+   and older.history_id = newer.history_id
+   and (older.created_at, older.id) < (newer.created_at, newer.id);
+
+alter table public.enhancement_feedback
+    drop constraint if exists enhancement_feedback_user_history_key;
+
+alter table public.enhancement_feedback
+    add constraint enhancement_feedback_user_history_key unique (user_id, history_id);
+
+-- Acceptance rate and edit distance per complexity bucket and per platform guide
+create or replace function public.get_feedback_stats(p_since timestamptz default null)
+returns table (
+    dimension text,
+    bucket text,
+    total integer,
+    thumbs_up integer,
+    thumbs_down integer,
+    acceptance_rate numeric,
+    avg_edit_distance numeric,
+    avg_normalized_edit_distance numeric
+)
+language sql
+stable
+as $$
+    select
+        case when grouping(complexity) = 0 then 'complexity' else 'platform' end as dimension,
+        coalesce(complexity, platform) as bucket,
+        count(*)::integer as total,
+        count(*) filter (where rating = 'up')::integer as thumbs_up,
+        count(*) filter (where rating = 'down')::integer as thumbs_down,
+        round(count(*) filter (where rating = 'up')::numeric / count(*), 4) as acceptance_rate,
+        round(avg(edit_distance), 2) as avg_edit_distance,
+        round(avg(normalized_edit_distance), 4) as avg_normalized_edit_distance
+    from public.enhancement_feedback
+    where p_since is null or created_at >= p_since
+    group by grouping sets ((complexity), (platform))
+    order by dimension, bucket;
+$$;
+
+-- Only the server reads the stats, using the service role key
+revoke execute on function public.get_feedback_stats(timestamptz) from public, anon, authenticated;
+grant execute on function public.get_feedback_stats(timestamptz) to service_role;
+
+alter table public.enhancement_feedback enable row level security;
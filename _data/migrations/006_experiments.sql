@@ -0,0 +1,59 @@
+-- =============================================================================
+-- META-PROMPT EXPERIMENTS
+-- A/B tests between meta-prompt variants. Variants are referenced by id from
+-- _data/meta_prompts.json, or defined inline in the experiment row.
+-- =============================================================================
+
+create table if not exists public.experiments (
+    id uuid primary key default gen_random_uuid(),
+    name text not null unique,
+    description text,
+    status text not null default 'draft' check (status in ('draft', 'running', 'stopped')),
+    complexities text[],                -- buckets the experiment applies to (null = all)
+    variants jsonb not null,            -- [{ "id": "baseline", "weight": 50 }, { "id": "...", "weight": 50, "definition": {...} }]
+    started_at timestamptz,
+    stopped_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+alter table public.enhancement_history
+    add column if not exists experiment_name text,
+    add column if not exists variant_id text;
+
+alter table public.enhancement_feedback
+    add column if not exists experiment_name text,
+    add column if not exists variant_id text;
+
+-- Feedback outcome per variant of an experiment
+create or replace function public.get_experiment_results(p_experiment_name text)
+returns table (
+    variant_id text,
+    total integer,
+    thumbs_up integer,
+    thumbs_down integer,
+    acceptance_rate numeric,
+    avg_edit_distance numeric,
+    avg_normalized_edit_distance numeric
+)
+language sql
+stable
+as $$
+    select
+        f.variant_id,
+        count(*)::integer as total,
+        count(*) filter (where f.rating = 'up')::integer as thumbs_up,
+        count(*) filter (where f.rating = 'down')::integer as thumbs_down,
+        round(count(*) filter (where f.rating = 'up')::numeric / count(*), 4) as acceptance_rate,
+        round(avg(f.edit_distance), 2) as avg_edit_distance,
+        round(avg(f.normalized_edit_distance), 4) as avg_normalized_edit_distance
+    from public.enhancement_feedback f
+    where f.experiment_name = p_experiment_name
+    group by f.variant_id
+    order by f.variant_id;
+$$;
+
+-- Only the server reads experiment results, using the service role key
+revoke execute on function public.get_experiment_results(text) from public, anon, authenticated;
+grant execute on function public.get_experiment_results(text) to service_role;
+
+alter table public.experiments enable row level security;
@@ -0,0 +1,74 @@
+-- =============================================================================
+-- PROMPT GUIDE VERSIONS
+-- Several versions of a platform guide can be stored; exactly one of them is
+-- active and served by /api/enhance. Rolling back means activating an older one.
+-- =============================================================================
+
+alter table public.prompt_guides
+    add column if not exists is_active boolean not null default false,
+    add column if not exists updated_at timestamptz not null default now();
+
+-- Activate the newest version of every platform that has no active version yet
+update public.prompt_guides g
+set is_active = true
+where g.id = (
+    select latest.id
+    from public.prompt_guides latest
+    where latest.platform = g.platform
+    order by latest.created_at desc
+    limit 1
+)
+and not exists (
+    select 1 from public.prompt_guides active
+    where active.platform = g.platform and active.is_active
+);
+
+create unique index if not exists prompt_guides_platform_version_idx
+    on public.prompt_guides (platform, version);
+
+-- At most one active version per platform
+create unique index if not exists prompt_guides_active_platform_idx
+    on public.prompt_guides (platform)
+    where is_active;
+
+-- Make one version the active guide of its platform in a single transaction
+create or replace function public.activate_prompt_guide(p_guide_id uuid)
+returns table (
+    id uuid,
+    platform text,
+    version text,
+    is_active boolean,
+    updated_at timestamptz
+)
+language plpgsql
+as $$
+declare
+    v_platform text;
+begin
+    select g.platform into v_platform
+    from public.prompt_guides g
+    where g.id = p_guide_id
+    for update;
+
+    if v_platform is null then
+        return;
+    end if;
+
+    -- Lock the platform's rows so concurrent activations queue up
+    perform 1 from public.prompt_guides g where g.platform = v_platform for update;
+
+    update public.prompt_guides g
+    set is_active = false, updated_at = now()
+    where g.platform = v_platform and g.is_active and g.id <> p_guide_id;
+
+    return query
+    update public.prompt_guides g
+    set is_active = true, updated_at = now()
+    where g.id = p_guide_id
+    returning g.id, g.platform, g.version, g.is_active, g.updated_at;
+end;
+$$;
+
+-- Only the admin API activates guides, using the service role key
+revoke execute on function public.activate_prompt_guide(uuid) from public, anon, authenticated;
+grant execute on function public.activate_prompt_guide(uuid) to service_role;
@@ -0,0 +1,29 @@
+-- =============================================================================
+-- PROMPT TEMPLATES
+-- Recurring prompt shapes (code review, bug report, PR description) stored per
+-- user with {{placeholders}}. Published templates can be used by every user.
+-- =============================================================================
+
+create table if not exists public.prompt_templates (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references public.users(id) on delete cascade,
+    name text not null,
+    description text,
+    body text not null,                 -- template text with {{placeholders}}
+    platform text not null,
+    instructions text,                  -- extra instructions for the refinement
+    is_published boolean not null default false,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+-- Template names are unique per user, ignoring case
+create unique index if not exists prompt_templates_user_name_idx
+    on public.prompt_templates (user_id, lower(name));
+
+create index if not exists prompt_templates_published_idx
+    on public.prompt_templates (created_at desc)
+    where is_published;
+
+-- No policies: only the server (service role) reads and writes templates
+alter table public.prompt_templates enable row level security;
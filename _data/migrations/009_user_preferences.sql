@@ -0,0 +1,8 @@
+-- =============================================================================
+-- USER PREFERENCES
+-- Per-user style profile (length, tone, format, audience and rules) merged into
+-- the enhancement meta-prompt. Validated by userPreferences.js.
+-- =============================================================================
+
+alter table public.users
+    add column if not exists preferences jsonb not null default '{}'::jsonb;
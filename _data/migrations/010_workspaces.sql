@@ -0,0 +1,318 @@
+-- =============================================================================
+-- TEAM WORKSPACES
+-- Users can be members of workspaces (owner/admin/member). Credits come from a
+-- shared pool refilled by the workspace plan. In "allowance" mode each member
+-- may also spend at most member_allowance per period. Workspaces share
+-- templates and style preferences. Enhancements are billed to the user's
+-- active workspace.
+-- =============================================================================
+
+create table if not exists public.workspaces (
+    id uuid primary key default gen_random_uuid(),
+    name text not null,
+    owner_id uuid not null references public.users(id) on delete cascade,
+    plan text not null default 'unassigned',    -- a plan in _data/plans.json, set by admins
+    timezone text,
+    credit_mode text not null default 'pool' check (credit_mode in ('pool', 'allowance')),
+    member_allowance integer not null default 0 check (member_allowance >= 0),
+    credits_remaining integer not null default 0,   -- the shared pool
+    last_credit_reset timestamptz,
+    preferences jsonb not null default '{}'::jsonb,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create table if not exists public.workspace_members (
+    workspace_id uuid not null references public.workspaces(id) on delete cascade,
+    user_id uuid not null references public.users(id) on delete cascade,
+    role text not null check (role in ('owner', 'admin', 'member')),
+    credits_remaining integer not null default 0,   -- what is left of the member's allowance (allowance mode)
+    last_credit_reset timestamptz,                  -- null until the first allowance is granted
+    joined_at timestamptz not null default now(),
+    primary key (workspace_id, user_id)
+);
+
+create index if not exists workspace_members_user_idx
+    on public.workspace_members (user_id);
+
+-- Exactly one owner per workspace
+create unique index if not exists workspace_members_owner_idx
+    on public.workspace_members (workspace_id)
+    where role = 'owner';
+
+create table if not exists public.workspace_invites (
+    id uuid primary key default gen_random_uuid(),
+    workspace_id uuid not null references public.workspaces(id) on delete cascade,
+    email text not null,
+    role text not null check (role in ('admin', 'member')),
+    invited_by uuid references public.users(id) on delete set null,
+    created_at timestamptz not null default now()
+);
+
+create unique index if not exists workspace_invites_email_idx
+    on public.workspace_invites (workspace_id, lower(email));
+
+alter table public.users
+    add column if not exists active_workspace_id uuid references public.workspaces(id) on delete set null;
+
+-- Templates shared with a workspace are visible to all of its members
+alter table public.prompt_templates
+    add column if not exists workspace_id uuid references public.workspaces(id) on delete set null;
+
+create index if not exists prompt_templates_workspace_idx
+    on public.prompt_templates (workspace_id)
+    where workspace_id is not null;
+
+-- Ledger rows say which balance they moved. workspace_id has no foreign key:
+-- the ledger is append-only and keeps the rows of deleted workspaces.
+-- Pool resets belong to no single user.
+alter table public.credit_transactions
+    add column if not exists workspace_id uuid,
+    add column if not exists balance_scope text not null default 'user'
+        check (balance_scope in ('user', 'workspace_pool', 'workspace_member'));
+
+alter table public.credit_transactions
+    alter column user_id drop not null;
+
+alter table public.credit_transactions
+    drop constraint if exists credit_transactions_user_scope_check;
+
+alter table public.credit_transactions
+    add constraint credit_transactions_user_scope_check
+    check (user_id is not null or balance_scope = 'workspace_pool');
+
+create index if not exists credit_transactions_workspace_created_idx
+    on public.credit_transactions (workspace_id, created_at desc)
+    where workspace_id is not null;
+
+-- Atomically take credits for a member from the workspace pool and, in
+-- allowance mode, from the member's allowance as well. Returns no rows when the
+-- user is not a member or a balance is too low. balance_after is what the
+-- member can still spend.
+create or replace function public.spend_workspace_credits(
+    p_workspace_id uuid,
+    p_user_id uuid,
+    p_amount integer,
+    p_reason text default null
+)
+returns table (transaction_id uuid, balance_after integer)
+language plpgsql
+as $$
+declare
+    v_mode text;
+    v_scope text;
+    v_balance integer;
+    v_member_balance integer;
+    v_transaction_id uuid;
+begin
+    select w.credit_mode into v_mode
+      from public.workspaces w
+      join public.workspace_members m on m.workspace_id = w.id and m.user_id = p_user_id
+     where w.id = p_workspace_id;
+
+    if not found then
+        return;
+    end if;
+
+    update public.workspaces
+       set credits_remaining = credits_remaining - p_amount
+     where id = p_workspace_id
+       and credits_remaining >= p_amount
+    returning credits_remaining into v_balance;
+
+    if not found then
+        return;
+    end if;
+
+    if v_mode = 'pool' then
+        v_scope := 'workspace_pool';
+    else
+        v_scope := 'workspace_member';
+        update public.workspace_members
+           set credits_remaining = credits_remaining - p_amount
+         where workspace_id = p_workspace_id
+           and user_id = p_user_id
+           and credits_remaining >= p_amount
+        returning credits_remaining into v_member_balance;
+
+        -- The member's allowance is used up: give the pool its credits back
+        if not found then
+            update public.workspaces
+               set credits_remaining = credits_remaining + p_amount
+             where id = p_workspace_id;
+            return;
+        end if;
+    end if;
+
+    update public.users set last_used_at = now() where id = p_user_id;
+
+    -- Member-scoped rows record the member's balance, pool rows the pool's
+    insert into public.credit_transactions (user_id, workspace_id, balance_scope, type, amount, balance_after, reason)
+    values (p_user_id, p_workspace_id, v_scope, 'spend', -p_amount, coalesce(v_member_balance, v_balance), p_reason)
+    returning id into v_transaction_id;
+
+    return query select v_transaction_id, least(v_balance, coalesce(v_member_balance, v_balance));
+end;
+$$;
+
+-- Reset the workspace pool (p_user_id null) or one member's allowance, but only
+-- if nobody else reset it since last_credit_reset was read (compare-and-swap).
+create or replace function public.reset_workspace_credits(
+    p_workspace_id uuid,
+    p_user_id uuid,
+    p_amount integer,
+    p_expected_last_reset timestamptz,
+    p_reason text default null
+)
+returns table (transaction_id uuid, balance_after integer)
+language plpgsql
+as $$
+declare
+    v_transaction_id uuid;
+begin
+    if p_user_id is null then
+        update public.workspaces
+           set credits_remaining = p_amount,
+               last_credit_reset = now()
+         where id = p_workspace_id
+           and last_credit_reset is not distinct from p_expected_last_reset;
+    else
+        update public.workspace_members
+           set credits_remaining = p_amount,
+               last_credit_reset = now()
+         where workspace_id = p_workspace_id
+           and user_id = p_user_id
+           and last_credit_reset is not distinct from p_expected_last_reset;
+    end if;
+
+    if not found then
+        return;
+    end if;
+
+    insert into public.credit_transactions (user_id, workspace_id, balance_scope, type, amount, balance_after, reason)
+    values (
+        p_user_id,
+        p_workspace_id,
+        case when p_user_id is null then 'workspace_pool' else 'workspace_member' end,
+        'reset',
+        p_amount,
+        p_amount,
+        p_reason
+    )
+    returning id into v_transaction_id;
+
+    return query select v_transaction_id, p_amount;
+end;
+$$;
+
+-- Give back the credits taken by a spend transaction to the balances it came
+-- from. Refunding twice, or into a workspace that is gone, is a no-op.
+create or replace function public.refund_credits(p_transaction_id uuid, p_reason text default null)
+returns table (transaction_id uuid, balance_after integer)
+language plpgsql
+as $$
+declare
+    v_spend public.credit_transactions%rowtype;
+    v_balance integer;
+    v_member_balance integer;
+    v_transaction_id uuid;
+begin
+    select * into v_spend
+      from public.credit_transactions
+     where id = p_transaction_id and type = 'spend'
+       for update;
+
+    if not found then
+        return;
+    end if;
+
+    if exists (select 1 from public.credit_transactions
+                where related_transaction_id = p_transaction_id and type = 'refund') then
+        return;
+    end if;
+
+    if v_spend.balance_scope = 'workspace_pool' then
+        update public.workspaces
+           set credits_remaining = credits_remaining - v_spend.amount
+         where id = v_spend.workspace_id
+        returning credits_remaining into v_balance;
+    elsif v_spend.balance_scope = 'workspace_member' then
+        update public.workspaces
+           set credits_remaining = credits_remaining - v_spend.amount
+         where id = v_spend.workspace_id
+        returning credits_remaining into v_balance;
+
+        -- Only the pool is refilled when the member has left in the meantime
+        if v_balance is not null then
+            update public.workspace_members
+               set credits_remaining = credits_remaining - v_spend.amount
+             where workspace_id = v_spend.workspace_id
+               and user_id = v_spend.user_id
+            returning credits_remaining into v_member_balance;
+            v_balance := coalesce(v_member_balance, v_balance);
+        end if;
+    else
+        update public.users
+           set credits_remaining = credits_remaining - v_spend.amount
+         where id = v_spend.user_id
+        returning credits_remaining into v_balance;
+    end if;
+
+    if v_balance is null then
+        return;
+    end if;
+
+    insert into public.credit_transactions (user_id, workspace_id, balance_scope, type, amount, balance_after, reason, related_transaction_id)
+    values (v_spend.user_id, v_spend.workspace_id, v_spend.balance_scope, 'refund', -v_spend.amount, v_balance, p_reason, p_transaction_id)
+    returning id into v_transaction_id;
+
+    return query select v_transaction_id, v_balance;
+end;
+$$;
+
+-- Credits each current member spent from a workspace (net of refunds)
+create or replace function public.get_workspace_usage(p_workspace_id uuid, p_since timestamptz default null)
+returns table (
+    user_id uuid,
+    email text,
+    name text,
+    role text,
+    credits_spent integer,
+    operations integer,
+    last_used_at timestamptz
+)
+language sql
+stable
+as $$
+    select
+        m.user_id,
+        u.email,
+        u.name,
+        m.role,
+        coalesce(-sum(t.amount), 0)::integer as credits_spent,
+        (count(t.id) filter (where t.type = 'spend') - count(t.id) filter (where t.type = 'refund'))::integer as operations,
+        max(t.created_at) filter (where t.type = 'spend') as last_used_at
+    from public.workspace_members m
+    join public.users u on u.id = m.user_id
+    left join public.credit_transactions t
+        on t.workspace_id = m.workspace_id
+       and t.user_id = m.user_id
+       and t.type in ('spend', 'refund')
+       and (p_since is null or t.created_at >= p_since)
+    where m.workspace_id = p_workspace_id
+    group by m.user_id, u.email, u.name, m.role
+    order by credits_spent desc, u.email;
+$$;
+
+-- Only the server moves workspace credits and reads usage, using the service
+-- role key. refund_credits keeps the grants from 001_credit_ledger.sql.
+revoke execute on function public.spend_workspace_credits(uuid, uuid, integer, text) from public, anon, authenticated;
+revoke execute on function public.reset_workspace_credits(uuid, uuid, integer, timestamptz, text) from public, anon, authenticated;
+revoke execute on function public.get_workspace_usage(uuid, timestamptz) from public, anon, authenticated;
+grant execute on function public.spend_workspace_credits(uuid, uuid, integer, text) to service_role;
+grant execute on function public.reset_workspace_credits(uuid, uuid, integer, timestamptz, text) to service_role;
+grant execute on function public.get_workspace_usage(uuid, timestamptz) to service_role;
+
+alter table public.workspaces enable row level security;
+alter table public.workspace_members enable row level security;
+alter table public.workspace_invites enable row level security;
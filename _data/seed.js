@@ -1,128 +1,152 @@
 // Import required modules
 const fs = require('fs');
 const path = require('path');
-const supabase = require('../supabaseClient');
+const {
+    findGuideVersion,
+    activateGuide,
+    createGuide,
+    updateGuide
+} = require('../promptGuides');
+const { validateGuide } = require('../guideSchema');
 
-// Function to seed the prompt guides data
-async function seedPromptGuides() {
-    try {
-        console.log('🌱 Starting seed process...');
-        
-        // Read the Gemini guide JSON file
-        const geminiGuidePath = path.join(__dirname, 'guides', 'gemini_guide.json');
-        console.log(`📖 Reading guide from: ${geminiGuidePath}`);
-        
-        // Check if file exists
-        if (!fs.existsSync(geminiGuidePath)) {
-            throw new Error(`Guide file not found at: ${geminiGuidePath}`);
+// Usage:
+//   node _data/seed.js                       seed the Gemini guide
+//   node _data/seed.js --all                 seed every guide in _data/guides
+//   node _data/seed.js --platform "GPT 5"    seed the guide(s) of one platform
+// Options:
+//   --upsert     replace the content of a version that already exists (default: skip it)
+//   --activate   make the seeded version the active guide of its platform
+// A platform's first stored version is always activated. Guides that fail
+// validation (see npm run lint:guides) are never inserted.
+
+const guidesDir = path.join(__dirname, 'guides');
+const DEFAULT_GUIDE_FILE = 'gemini_guide.json';
+
+// Read and parse a guide file
+function loadGuideFile(file) {
+    const guidePath = path.join(guidesDir, file);
+    console.log(`📖 Reading guide from: ${guidePath}`);
+
+    if (!fs.existsSync(guidePath)) {
+        throw new Error(`Guide file not found at: ${guidePath}`);
+    }
+
+    return JSON.parse(fs.readFileSync(guidePath, 'utf8'));
+}
+
+// Pick the guide files to seed from the command line arguments
+function selectGuideFiles(args) {
+    const guideFiles = fs.readdirSync(guidesDir).filter(file => file.endsWith('.json'));
+    const platformIndex = args.indexOf('--platform');
+
+    if (platformIndex !== -1) {
+        const platform = (args[platformIndex + 1] || '').toLowerCase();
+        if (!platform || platform.startsWith('--')) {
+            throw new Error('--platform needs a platform name, e.g. --platform "GPT 5"');
         }
-        
-        // Read and parse the JSON data
-        const guideData = JSON.parse(fs.readFileSync(geminiGuidePath, 'utf8'));
-        console.log(`✅ Successfully loaded guide data for platform: ${guideData.platform}`);
-        
-        // Extract platform and version from the JSON
-        const platform = guideData.platform;
-        const version = guideData.version;
-        
-        // Prepare the data for insertion
-        const insertData = {
-            platform: platform,
-            version: version,
-            guide_data: guideData.guide // Store the entire guide object
-        };
-        
-        console.log(`📝 Inserting data into prompt_guides table...`);
-        console.log(`   Platform: ${platform}`);
-        console.log(`   Version: ${version}`);
-        
-        // Insert the data into Supabase
-        const { data, error } = await supabase
-            .from('prompt_guides')
-            .insert([insertData])
-            .select();
-        
-        if (error) {
-            throw new Error(`Supabase insertion error: ${error.message}`);
+
+        // Match the platform stored in the file, or the file name ("gpt" -> gpt_guide.json)
+        const matches = guideFiles.filter(file => {
+            const guideData = JSON.parse(fs.readFileSync(path.join(guidesDir, file), 'utf8'));
+            return guideData.platform.toLowerCase() === platform || file.startsWith(`${platform}_`);
+        });
+
+        if (matches.length === 0) {
+            throw new Error(`No guide file found for platform: ${args[platformIndex + 1]}`);
         }
-        
-        console.log('🎉 Success! Prompt guide data has been inserted into the database.');
-        console.log(`📊 Inserted record ID: ${data[0].id}`);
-        console.log(`🕒 Created at: ${data[0].created_at}`);
-        
-    } catch (error) {
-        console.error('❌ Error during seed process:', error.message);
-        process.exit(1);
+        return matches;
     }
+
+    if (args.includes('--all')) {
+        return guideFiles;
+    }
+
+    return [DEFAULT_GUIDE_FILE];
 }
 
-// Function to seed all available guides
-async function seedAllGuides() {
+// Seed one guide file; resolves to what happened to it
+async function seedGuide(file, { upsert, activate }) {
+    const guideData = loadGuideFile(file);
+    const platform = guideData.platform;
+    const version = guideData.version;
+
+    console.log(`✅ Loaded guide data for platform: ${platform} (v${version})`);
+
+    const { errors } = validateGuide(guideData);
+    if (errors.length > 0) {
+        errors.forEach(issue => console.error(`   ${issue.path} ${issue.message}`));
+        throw new Error(`Guide is invalid (${errors.length} error(s)) - run npm run lint:guides for details`);
+    }
+
+    const existing = await findGuideVersion(platform, version);
+
+    if (existing && !upsert) {
+        console.log(`⚠️  Guide for ${platform} v${version} already exists, skipping... (use --upsert to replace it)`);
+        if (activate && !existing.is_active) {
+            await activateGuide(existing.id);
+            console.log(`⭐ Activated ${platform} v${version}`);
+        }
+        return 'skipped';
+    }
+
+    if (existing) {
+        await updateGuide(existing.id, { guideData: guideData.guide });
+        console.log(`🔁 Replaced the content of ${platform} v${version}`);
+        if (activate && !existing.is_active) {
+            await activateGuide(existing.id);
+            console.log(`⭐ Activated ${platform} v${version}`);
+        }
+        return 'updated';
+    }
+
+    // Store the entire guide object
+    const created = await createGuide({
+        platform: platform,
+        version: version,
+        guideData: guideData.guide,
+        activate: activate
+    });
+
+    console.log(`🎉 Inserted ${platform} v${version}${created.is_active ? ' (active)' : ''}`);
+    console.log(`   Record ID: ${created.id}`);
+    return 'inserted';
+}
+
+// Main execution
+async function main() {
+    const args = process.argv.slice(2);
+    const options = {
+        upsert: args.includes('--upsert'),
+        activate: args.includes('--activate')
+    };
+
     try {
-        console.log('🌱 Starting comprehensive seed process...');
-        
-        const guidesDir = path.join(__dirname, 'guides');
-        const guideFiles = fs.readdirSync(guidesDir).filter(file => file.endsWith('.json'));
-        
-        console.log(`📚 Found ${guideFiles.length} guide files to process`);
-        
+        console.log('🌱 Starting seed process...');
+
+        const guideFiles = selectGuideFiles(args);
+        console.log(`📚 Found ${guideFiles.length} guide file(s) to process`);
+
+        let failures = 0;
         for (const file of guideFiles) {
             console.log(`\n📖 Processing: ${file}`);
-            
-            const guidePath = path.join(guidesDir, file);
-            const guideData = JSON.parse(fs.readFileSync(guidePath, 'utf8'));
-            
-            const insertData = {
-                platform: guideData.platform,
-                version: guideData.version,
-                guide_data: guideData.guide
-            };
-            
-            // Check if this guide already exists
-            const { data: existing } = await supabase
-                .from('prompt_guides')
-                .select('id')
-                .eq('platform', guideData.platform)
-                .eq('version', guideData.version)
-                .single();
-            
-            if (existing) {
-                console.log(`⚠️  Guide for ${guideData.platform} v${guideData.version} already exists, skipping...`);
-                continue;
-            }
-            
-            const { data, error } = await supabase
-                .from('prompt_guides')
-                .insert([insertData])
-                .select();
-            
-            if (error) {
-                console.error(`❌ Error inserting ${file}:`, error.message);
-                continue;
+            try {
+                await seedGuide(file, options);
+            } catch (error) {
+                console.error(`❌ Error seeding ${file}:`, error.message);
+                failures++;
             }
-            
-            console.log(`✅ Successfully inserted ${guideData.platform} v${guideData.version}`);
-            console.log(`   Record ID: ${data[0].id}`);
         }
-        
-        console.log('\n🎉 All guides have been processed!');
-        
+
+        if (failures > 0) {
+            console.error(`\n❌ ${failures} guide(s) could not be seeded`);
+            process.exit(1);
+        }
+
     } catch (error) {
-        console.error('❌ Error during comprehensive seed process:', error.message);
+        console.error('❌ Error during seed process:', error.message);
         process.exit(1);
     }
-}
 
-// Main execution
-async function main() {
-    const args = process.argv.slice(2);
-    
-    if (args.includes('--all')) {
-        await seedAllGuides();
-    } else {
-        await seedPromptGuides();
-    }
-    
     console.log('\n✨ Seed process completed successfully!');
     process.exit(0);
 }
@@ -0,0 +1,100 @@
+// Import required libraries
+require('dotenv').config();
+const supabase = require('./supabaseClient');
+
+// =============================================================================
+// AUTHENTICATION MIDDLEWARE
+// =============================================================================
+
+// AUTH_MODE=local accepts "local:<userId>" tokens without contacting Supabase.
+// It exists for offline testing only and is never honoured in production.
+const LOCAL_AUTH_ENABLED = process.env.AUTH_MODE === 'local' && process.env.NODE_ENV !== 'production';
+const LOCAL_TOKEN_PREFIX = 'local:';
+
+// Extract the token from an "Authorization: Bearer <token>" header
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+// Resolve an access token to a user, or null if the token is not valid
+async function verifyAccessToken(token) {
+    if (LOCAL_AUTH_ENABLED && token.startsWith(LOCAL_TOKEN_PREFIX)) {
+        const userId = token.slice(LOCAL_TOKEN_PREFIX.length);
+        return userId ? { id: userId, email: `${userId}@local.test`, name: 'Local User' } : null;
+    }
+
+    const { data, error } = await supabase.auth.getUser(token);
+    if (error || !data?.user) {
+        return null;
+    }
+
+    return {
+        id: data.user.id,
+        email: data.user.email,
+        name: data.user.user_metadata?.name || data.user.email?.split('@')[0] || null
+    };
+}
+
+// Require a valid Supabase access token and attach the user to req.user.
+// A userId in the request body is only tolerated if it matches the token.
+async function requireAuth(req, res, next) {
+    try {
+        const token = getBearerToken(req);
+
+        if (!token) {
+            return res.status(401).json({
+                error: 'Authorization header with a Bearer access token is required'
+            });
+        }
+
+        const user = await verifyAccessToken(token);
+
+        if (!user) {
+            return res.status(401).json({
+                error: 'Invalid or expired access token. Please log in again.'
+            });
+        }
+
+        // Never let the body choose whose account is used
+        if (req.body && req.body.userId && req.body.userId !== user.id) {
+            return res.status(403).json({
+                error: 'User ID in the request body does not match the access token'
+            });
+        }
+
+        req.user = user;
+        next();
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error during authentication'
+        });
+    }
+}
+
+// Users allowed to call admin endpoints, e.g. ADMIN_USER_IDS=uuid1,uuid2
+const ADMIN_USER_IDS = (process.env.ADMIN_USER_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(id => id.length > 0);
+
+// Require a valid access token that belongs to a configured admin
+function requireAdmin(req, res, next) {
+    requireAuth(req, res, () => {
+        if (!ADMIN_USER_IDS.includes(req.user.id)) {
+            return res.status(403).json({
+                error: 'Admin access is required for this endpoint'
+            });
+        }
+        next();
+    });
+}
+
+module.exports = {
+    getBearerToken,
+    verifyAccessToken,
+    requireAuth,
+    requireAdmin
+};
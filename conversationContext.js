@@ -0,0 +1,70 @@
+// =============================================================================
+// CONVERSATION CONTEXT - Earlier turns scraped from the chat page
+// =============================================================================
+
+// Bounds keep the meta-prompt small: only the most recent turns are used and
+// long messages (pasted code, long answers) are cut.
+const MAX_CONTEXT_TURNS = 10;
+const MAX_TURN_CHARACTERS = 2000;
+const MAX_CONTEXT_CHARACTERS = 6000;
+
+const CONTEXT_ROLES = ['user', 'assistant'];
+
+function truncate(text, limit) {
+    return text.length > limit ? `${text.slice(0, limit).trimEnd()} …` : text;
+}
+
+// Validate and bound a conversation: a list of { role, content } turns,
+// oldest first. Returns the turns to use, or null when the list is not valid.
+function resolveConversation(value) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    if (!Array.isArray(value)) {
+        return null;
+    }
+
+    const valid = value.every(turn => turn && CONTEXT_ROLES.includes(turn.role) && typeof turn.content === 'string');
+    if (!valid) {
+        return null;
+    }
+
+    const turns = value
+        .filter(turn => turn.content.trim())
+        .slice(-MAX_CONTEXT_TURNS)
+        .map(turn => ({ role: turn.role, content: truncate(turn.content.trim(), MAX_TURN_CHARACTERS) }));
+
+    // Drop the oldest turns until the whole context fits the budget
+    let total = turns.reduce((sum, turn) => sum + turn.content.length, 0);
+    while (turns.length > 0 && total > MAX_CONTEXT_CHARACTERS) {
+        total -= turns.shift().content.length;
+    }
+
+    return turns;
+}
+
+// The most recent user message, which a follow-up usually builds on
+function getLastUserTurn(turns) {
+    return [...(turns || [])].reverse().find(turn => turn.role === 'user') || null;
+}
+
+// Render the turns as a transcript for the meta-prompt
+function formatConversationContext(turns) {
+    if (!turns || turns.length === 0) {
+        return '';
+    }
+    let text = 'CONVERSATION SO FAR (oldest first):\n';
+    turns.forEach(turn => {
+        text += `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}\n`;
+    });
+    return `${text}\n`;
+}
+
+module.exports = {
+    MAX_CONTEXT_TURNS,
+    MAX_TURN_CHARACTERS,
+    MAX_CONTEXT_CHARACTERS,
+    resolveConversation,
+    getLastUserTurn,
+    formatConversationContext
+};
@@ -0,0 +1,153 @@
+// Import required libraries
+const supabase = require('./supabaseClient');
+
+// =============================================================================
+// CREDIT LEDGER
+// =============================================================================
+
+// Every balance change goes through the SQL functions in
+// _data/migrations/001_credit_ledger.sql so the update on public.users and the
+// ledger row are written in one transaction.
+
+// The RPCs return a table; supabase-js hands it back as an array of rows
+function firstRow(data) {
+    return Array.isArray(data) ? data[0] || null : data || null;
+}
+
+// Reserve credits before doing paid work. Resolves to
+// { transaction_id, balance_after }, or null when the balance is too low.
+async function reserveCredits(userId, amount = 1, reason = 'enhance') {
+    const { data, error } = await supabase.rpc('spend_credits', {
+        p_user_id: userId,
+        p_amount: amount,
+        p_reason: reason
+    });
+
+    if (error) {
+        throw new Error(`Failed to reserve credits: ${error.message}`);
+    }
+
+    return firstRow(data);
+}
+
+// Reserve credits for a member from a workspace: the shared pool or the
+// member's allowance, depending on the workspace's credit mode. Resolves to
+// { transaction_id, balance_after }, or null when the balance is too low.
+async function reserveWorkspaceCredits(workspaceId, userId, amount = 1, reason = 'enhance') {
+    const { data, error } = await supabase.rpc('spend_workspace_credits', {
+        p_workspace_id: workspaceId,
+        p_user_id: userId,
+        p_amount: amount,
+        p_reason: reason
+    });
+
+    if (error) {
+        throw new Error(`Failed to reserve workspace credits: ${error.message}`);
+    }
+
+    return firstRow(data);
+}
+
+// Return the credits taken by a reservation to the balance they came from
+// (safe to call more than once)
+async function refundCredits(transactionId, reason = 'enhancement failed') {
+    const { data, error } = await supabase.rpc('refund_credits', {
+        p_transaction_id: transactionId,
+        p_reason: reason
+    });
+
+    if (error) {
+        throw new Error(`Failed to refund credits: ${error.message}`);
+    }
+
+    return firstRow(data);
+}
+
+// Reset a balance if it has not been reset since `expectedLastReset` was read.
+// Resolves to null when another request won the race.
+async function resetCredits(userId, amount, expectedLastReset, reason = 'scheduled reset') {
+    const { data, error } = await supabase.rpc('reset_credits', {
+        p_user_id: userId,
+        p_amount: amount,
+        p_expected_last_reset: expectedLastReset,
+        p_reason: reason
+    });
+
+    if (error) {
+        throw new Error(`Failed to reset credits: ${error.message}`);
+    }
+
+    return firstRow(data);
+}
+
+// Reset a workspace pool (userId null) or one member's allowance, with the
+// same compare-and-swap as resetCredits
+async function resetWorkspaceCredits(workspaceId, userId, amount, expectedLastReset, reason = 'scheduled reset') {
+    const { data, error } = await supabase.rpc('reset_workspace_credits', {
+        p_workspace_id: workspaceId,
+        p_user_id: userId,
+        p_amount: amount,
+        p_expected_last_reset: expectedLastReset,
+        p_reason: reason
+    });
+
+    if (error) {
+        throw new Error(`Failed to reset workspace credits: ${error.message}`);
+    }
+
+    return firstRow(data);
+}
+
+// Record credits that were granted outside the RPCs (e.g. the initial
+// allowance set when the users row is created)
+async function recordGrant(userId, amount, balanceAfter, reason = 'signup') {
+    const { error } = await supabase
+        .from('credit_transactions')
+        .insert([
+            {
+                user_id: userId,
+                type: 'grant',
+                amount: amount,
+                balance_after: balanceAfter,
+                reason: reason
+            }
+        ]);
+
+    if (error) {
+        throw new Error(`Failed to record credit grant: ${error.message}`);
+    }
+}
+
+// Fetch a page of a user's personal ledger, newest first. Spends billed to a
+// workspace are left out - their balance_after is the workspace's.
+async function getCreditHistory(userId, { limit = 50, before = null } = {}) {
+    let query = supabase
+        .from('credit_transactions')
+        .select('id, type, amount, balance_after, reason, related_transaction_id, created_at')
+        .eq('user_id', userId)
+        .eq('balance_scope', 'user')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+    if (before) {
+        query = query.lt('created_at', before);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+        throw new Error(`Failed to fetch credit history: ${error.message}`);
+    }
+
+    return data;
+}
+
+module.exports = {
+    reserveCredits,
+    reserveWorkspaceCredits,
+    refundCredits,
+    resetCredits,
+    resetWorkspaceCredits,
+    recordGrant,
+    getCreditHistory
+};
@@ -0,0 +1,163 @@
+// Import required libraries
+const supabase = require('./supabaseClient');
+
+// =============================================================================
+// ENHANCEMENT HISTORY
+// =============================================================================
+
+const HISTORY_COLUMNS = 'id, platform, original_prompt, enhanced_prompt, complexity, task_type, is_favorite, source_history_id, experiment_name, variant_id, created_at';
+
+// Strip characters that have a meaning inside a PostgREST or() filter
+function sanitizeSearchTerm(term) {
+    return String(term).replace(/[%,()*\\]/g, ' ').trim();
+}
+
+// Store a finished enhancement and return the new row
+async function saveEnhancement(entry) {
+    const { data, error } = await supabase
+        .from('enhancement_history')
+        .insert([
+            {
+                user_id: entry.userId,
+                platform: entry.platform,
+                original_prompt: entry.originalPrompt,
+                enhanced_prompt: entry.enhancedPrompt,
+                complexity: entry.complexity,
+                task_type: entry.taskType,
+                source_history_id: entry.sourceHistoryId || null,
+                experiment_name: entry.experimentName || null,
+                variant_id: entry.variantId || null
+            }
+        ])
+        .select(HISTORY_COLUMNS)
+        .single();
+
+    if (error) {
+        throw new Error(`Failed to save enhancement history: ${error.message}`);
+    }
+
+    return data;
+}
+
+// List a user's history, newest first, optionally filtered
+async function listHistory(userId, { search = null, favoritesOnly = false, platform = null, limit = 20, before = null } = {}) {
+    let query = supabase
+        .from('enhancement_history')
+        .select(HISTORY_COLUMNS)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+    if (search) {
+        const term = sanitizeSearchTerm(search);
+        if (term) {
+            query = query.or(`original_prompt.ilike.%${term}%,enhanced_prompt.ilike.%${term}%`);
+        }
+    }
+
+    if (favoritesOnly) {
+        query = query.eq('is_favorite', true);
+    }
+
+    if (platform) {
+        query = query.eq('platform', platform);
+    }
+
+    if (before) {
+        query = query.lt('created_at', before);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+        throw new Error(`Failed to fetch enhancement history: ${error.message}`);
+    }
+
+    return data;
+}
+
+// Fetch a single entry owned by the user (null if missing)
+async function getHistoryEntry(userId, entryId) {
+    const { data, error } = await supabase
+        .from('enhancement_history')
+        .select(HISTORY_COLUMNS)
+        .eq('user_id', userId)
+        .eq('id', entryId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Failed to fetch enhancement history entry: ${error.message}`);
+    }
+
+    return data;
+}
+
+// Set or clear the favorite flag; resolves to the updated entry or null
+async function setFavorite(userId, entryId, isFavorite) {
+    const { data, error } = await supabase
+        .from('enhancement_history')
+        .update({ is_favorite: isFavorite })
+        .eq('user_id', userId)
+        .eq('id', entryId)
+        .select(HISTORY_COLUMNS)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Failed to update enhancement history entry: ${error.message}`);
+    }
+
+    return data;
+}
+
+// Delete an entry; resolves to whether anything was deleted
+async function deleteHistoryEntry(userId, entryId) {
+    const { data, error } = await supabase
+        .from('enhancement_history')
+        .delete()
+        .eq('user_id', userId)
+        .eq('id', entryId)
+        .select('id');
+
+    if (error) {
+        throw new Error(`Failed to delete enhancement history entry: ${error.message}`);
+    }
+
+    return data.length > 0;
+}
+
+// Delete every entry of a user; resolves to the number of deleted entries
+async function clearHistory(userId) {
+    const { data, error } = await supabase
+        .from('enhancement_history')
+        .delete()
+        .eq('user_id', userId)
+        .select('id');
+
+    if (error) {
+        throw new Error(`Failed to clear enhancement history: ${error.message}`);
+    }
+
+    return data.length;
+}
+
+// Switch history recording on or off for a user
+async function setHistoryEnabled(userId, enabled) {
+    const { error } = await supabase
+        .from('users')
+        .update({ history_enabled: enabled })
+        .eq('id', userId);
+
+    if (error) {
+        throw new Error(`Failed to update history setting: ${error.message}`);
+    }
+}
+
+module.exports = {
+    saveEnhancement,
+    listHistory,
+    getHistoryEntry,
+    setFavorite,
+    deleteHistoryEntry,
+    clearHistory,
+    setHistoryEnabled
+};
@@ -0,0 +1,213 @@
+// Import required libraries
+const crypto = require('crypto');
+const supabase = require('./supabaseClient');
+const { DEFAULT_VARIANT, getVariant } = require('./metaPrompts');
+
+// =============================================================================
+// META-PROMPT EXPERIMENTS
+// =============================================================================
+
+// Running experiments are cached briefly so /api/enhance doesn't query them on
+// every request. Starting or stopping takes effect on other instances within
+// this window.
+const EXPERIMENT_CACHE_TTL_MS = 30 * 1000;
+const EXPERIMENT_COLUMNS = 'id, name, description, status, complexities, variants, started_at, stopped_at, created_at';
+const COMPLEXITY_BUCKETS = ['simple', 'moderate', 'vague', 'detailed'];
+
+let runningExperimentsCache = { expiresAt: 0, experiments: [] };
+
+// Map a string to a stable number in [0, 1)
+function hashToUnitInterval(value) {
+    const hash = crypto.createHash('sha256').update(value).digest();
+    return hash.readUInt32BE(0) / 0x100000000;
+}
+
+// Resolve a variant reference from an experiment: inline definition or built-in id
+function resolveVariant(variantRef) {
+    if (variantRef.definition) {
+        return { id: variantRef.id, ...variantRef.definition };
+    }
+    return getVariant(variantRef.id);
+}
+
+// Deterministically assign a user to one of an experiment's variants by weight
+function assignVariant(experiment, userId) {
+    const variants = experiment.variants || [];
+    const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let point = hashToUnitInterval(`${experiment.name}:${userId}`) * totalWeight;
+
+    for (const variant of variants) {
+        point -= variant.weight;
+        if (point < 0) {
+            return variant;
+        }
+    }
+    return variants[variants.length - 1];
+}
+
+// Running experiments, oldest first
+async function getRunningExperiments() {
+    if (Date.now() < runningExperimentsCache.expiresAt) {
+        return runningExperimentsCache.experiments;
+    }
+
+    const { data, error } = await supabase
+        .from('experiments')
+        .select(EXPERIMENT_COLUMNS)
+        .eq('status', 'running')
+        .order('started_at', { ascending: true });
+
+    if (error) {
+        throw new Error(`Failed to fetch running experiments: ${error.message}`);
+    }
+
+    runningExperimentsCache = { expiresAt: Date.now() + EXPERIMENT_CACHE_TTL_MS, experiments: data };
+    return data;
+}
+
+// Pick the meta-prompt variant for a request. The first running experiment
+// that covers the complexity bucket decides; otherwise the default variant is used.
+// Experiment lookups never block an enhancement - on failure the default is used.
+async function chooseVariant(userId, complexity) {
+    let experiments = [];
+    try {
+        experiments = await getRunningExperiments();
+    } catch (error) {
+        experiments = [];
+    }
+
+    const experiment = experiments.find(candidate =>
+        !candidate.complexities || candidate.complexities.length === 0 || candidate.complexities.includes(complexity)
+    );
+
+    if (experiment) {
+        const variantRef = assignVariant(experiment, userId);
+        const variant = variantRef && resolveVariant(variantRef);
+        if (variant) {
+            return { experimentName: experiment.name, variant };
+        }
+    }
+
+    return { experimentName: null, variant: getVariant(DEFAULT_VARIANT) };
+}
+
+// Check an experiment definition; returns an error message or null
+function validateExperiment({ name, complexities, variants }) {
+    if (!name || !/^[a-z0-9_-]+$/i.test(name)) {
+        return 'Experiment name is required and may only contain letters, numbers, "-" and "_"';
+    }
+
+    if (complexities && (!Array.isArray(complexities) || complexities.some(bucket => !COMPLEXITY_BUCKETS.includes(bucket)))) {
+        return `Complexities must be a list of: ${COMPLEXITY_BUCKETS.join(', ')}`;
+    }
+
+    if (!Array.isArray(variants) || variants.length < 2) {
+        return 'An experiment needs at least two variants';
+    }
+
+    for (const variant of variants) {
+        if (!variant.id || typeof variant.weight !== 'number' || variant.weight <= 0) {
+            return 'Every variant needs an id and a positive weight';
+        }
+        if (!variant.definition && !getVariant(variant.id)) {
+            return `Unknown meta-prompt variant "${variant.id}" - add it to _data/meta_prompts.json or define it inline`;
+        }
+        if (variant.definition && typeof variant.definition.strategies !== 'object') {
+            return `Inline variant "${variant.id}" must define strategies`;
+        }
+    }
+
+    if (new Set(variants.map(variant => variant.id)).size !== variants.length) {
+        return 'Variant ids must be unique within an experiment';
+    }
+
+    return null;
+}
+
+// List all experiments, newest first
+async function listExperiments() {
+    const { data, error } = await supabase
+        .from('experiments')
+        .select(EXPERIMENT_COLUMNS)
+        .order('created_at', { ascending: false });
+
+    if (error) {
+        throw new Error(`Failed to fetch experiments: ${error.message}`);
+    }
+
+    return data;
+}
+
+// Create an experiment in draft status
+async function createExperiment({ name, description, complexities, variants }) {
+    const { data, error } = await supabase
+        .from('experiments')
+        .insert([
+            {
+                name: name,
+                description: description || null,
+                complexities: complexities || null,
+                variants: variants,
+                status: 'draft'
+            }
+        ])
+        .select(EXPERIMENT_COLUMNS)
+        .single();
+
+    if (error) {
+        throw new Error(`Failed to create experiment: ${error.message}`);
+    }
+
+    return data;
+}
+
+// Start or stop an experiment; resolves to the updated row or null if missing
+async function setExperimentStatus(name, status) {
+    const update = status === 'running'
+        ? { status, started_at: new Date().toISOString(), stopped_at: null }
+        : { status, stopped_at: new Date().toISOString() };
+
+    const { data, error } = await supabase
+        .from('experiments')
+        .update(update)
+        .eq('name', name)
+        .select(EXPERIMENT_COLUMNS)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Failed to update experiment: ${error.message}`);
+    }
+
+    // This instance picks up the change immediately
+    runningExperimentsCache = { expiresAt: 0, experiments: [] };
+    return data;
+}
+
+// Feedback outcome per variant of an experiment
+async function getExperimentResults(name) {
+    const { data, error } = await supabase.rpc('get_experiment_results', { p_experiment_name: name });
+
+    if (error) {
+        throw new Error(`Failed to fetch experiment results: ${error.message}`);
+    }
+
+    return (data || []).map(row => ({
+        variant_id: row.variant_id,
+        total: row.total,
+        thumbs_up: row.thumbs_up,
+        thumbs_down: row.thumbs_down,
+        acceptance_rate: Number(row.acceptance_rate),
+        avg_edit_distance: row.avg_edit_distance === null ? null : Number(row.avg_edit_distance),
+        avg_normalized_edit_distance: row.avg_normalized_edit_distance === null ? null : Number(row.avg_normalized_edit_distance)
+    }));
+}
+
+module.exports = {
+    assignVariant,
+    chooseVariant,
+    validateExperiment,
+    listExperiments,
+    createExperiment,
+    setExperimentStatus,
+    getExperimentResults
+};
@@ -0,0 +1,108 @@
+// Import required libraries
+const { wordDiff, summarizeWordDiff } = require('./textDiff');
+
+// =============================================================================
+// EXPLAINED ENHANCEMENTS
+// =============================================================================
+
+const MAX_CHANGES = 8;
+
+const GUIDE_SECTIONS = ['principles', 'structural_elements', 'anti_patterns', 'task_guidance'];
+
+// Pull a JSON object out of model output. JSON mode usually returns it bare,
+// but some models still wrap it in a code fence or add a sentence around it.
+function extractJsonObject(text) {
+    const trimmed = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+    const candidates = [trimmed];
+    const first = trimmed.indexOf('{');
+    const last = trimmed.lastIndexOf('}');
+    if (first >= 0 && last > first) {
+        candidates.push(trimmed.slice(first, last + 1));
+    }
+
+    for (const candidate of candidates) {
+        try {
+            const value = JSON.parse(candidate);
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                return value;
+            }
+        } catch (error) {
+            // Try the next candidate
+        }
+    }
+    return null;
+}
+
+// Parse an explain-mode reply into { enhancedPrompt, changes }.
+// Returns null when the reply is not usable JSON or has no enhanced prompt.
+function parseExplainedEnhancement(text) {
+    const value = extractJsonObject(text);
+    if (!value || typeof value.enhanced_prompt !== 'string' || !value.enhanced_prompt.trim()) {
+        return null;
+    }
+
+    // Keep only well-formed change items; a bad item should not cost the rewrite
+    const changes = (Array.isArray(value.changes) ? value.changes : [])
+        .filter(item => item && typeof item.change === 'string' && item.change.trim())
+        .slice(0, MAX_CHANGES)
+        .map(item => ({
+            change: item.change.trim(),
+            reason: typeof item.reason === 'string' ? item.reason.trim() : '',
+            guide_entry: typeof item.guide_entry === 'string' && item.guide_entry.trim() ? item.guide_entry.trim() : null
+        }));
+
+    return { enhancedPrompt: value.enhanced_prompt, changes: changes };
+}
+
+// Assemble the explanation returned next to an explained enhancement.
+// Guide entries are the ones given to the model; a change may only cite one of
+// those, so any other title the model names is dropped.
+function buildExplanation({ analysis, guideContext, detectedAntiPatterns, changes, originalPrompt, enhancedPrompt }) {
+    const citedTitles = new Set();
+    const knownTitles = new Set();
+    GUIDE_SECTIONS.forEach(section => {
+        (guideContext[section] || []).forEach(entry => knownTitles.add(entry.title));
+    });
+
+    const checkedChanges = (changes || []).map(item => {
+        const guideEntry = item.guide_entry && knownTitles.has(item.guide_entry) ? item.guide_entry : null;
+        if (guideEntry) {
+            citedTitles.add(guideEntry);
+        }
+        return { ...item, guide_entry: guideEntry };
+    });
+
+    const guideEntries = {};
+    GUIDE_SECTIONS.forEach(section => {
+        guideEntries[section] = (guideContext[section] || []).map(entry => ({
+            title: entry.title,
+            matched: entry.matched,
+            cited: citedTitles.has(entry.title)
+        }));
+    });
+
+    const operations = wordDiff(originalPrompt, enhancedPrompt);
+
+    return {
+        complexity: analysis.complexity,
+        complexity_rule: analysis.rule,
+        complexity_signals: analysis.signals,
+        guide_entries: guideEntries,
+        anti_patterns_detected: (detectedAntiPatterns || []).map(entry => ({
+            title: entry.title,
+            matched_patterns: entry.matched_patterns
+        })),
+        changes: checkedChanges,
+        rationale_available: changes !== null,
+        diff: {
+            operations: operations.map(({ type, text }) => ({ type, text })),
+            summary: summarizeWordDiff(operations)
+        }
+    };
+}
+
+module.exports = {
+    parseExplainedEnhancement,
+    buildExplanation
+};
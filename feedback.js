@@ -0,0 +1,70 @@
+// Import required libraries
+const supabase = require('./supabaseClient');
+const { wordEditDistance } = require('./textDiff');
+
+// =============================================================================
+// ENHANCEMENT FEEDBACK
+// =============================================================================
+
+// Store a thumbs up/down on an enhancement. When the user sent an edited
+// version, the word-level edit distance from the enhanced text is recorded.
+// A user has one rating per history entry; sending another replaces it.
+async function recordFeedback({ userId, historyId, platform, complexity, rating, reason, enhancedPrompt, finalText, experimentName, variantId }) {
+    const distance = finalText ? wordEditDistance(enhancedPrompt, finalText) : null;
+
+    const { data, error } = await supabase
+        .from('enhancement_feedback')
+        .upsert([
+            {
+                user_id: userId,
+                history_id: historyId || null,
+                platform: platform,
+                complexity: complexity,
+                rating: rating,
+                reason: reason || null,
+                final_text: finalText || null,
+                edit_distance: distance ? distance.distance : null,
+                normalized_edit_distance: distance ? distance.normalized : null,
+                experiment_name: experimentName || null,
+                variant_id: variantId || null
+            }
+        ], { onConflict: 'user_id,history_id' })
+        .select('id, rating, edit_distance, normalized_edit_distance, created_at')
+        .single();
+
+    if (error) {
+        throw new Error(`Failed to record feedback: ${error.message}`);
+    }
+
+    return data;
+}
+
+// Aggregate acceptance rate and edit distance per complexity bucket and platform
+async function getFeedbackStats({ since = null } = {}) {
+    const { data, error } = await supabase.rpc('get_feedback_stats', { p_since: since });
+
+    if (error) {
+        throw new Error(`Failed to fetch feedback stats: ${error.message}`);
+    }
+
+    const report = { by_complexity: [], by_platform: [] };
+    (data || []).forEach(row => {
+        const target = row.dimension === 'complexity' ? report.by_complexity : report.by_platform;
+        target.push({
+            bucket: row.bucket,
+            total: row.total,
+            thumbs_up: row.thumbs_up,
+            thumbs_down: row.thumbs_down,
+            acceptance_rate: Number(row.acceptance_rate),
+            avg_edit_distance: row.avg_edit_distance === null ? null : Number(row.avg_edit_distance),
+            avg_normalized_edit_distance: row.avg_normalized_edit_distance === null ? null : Number(row.avg_normalized_edit_distance)
+        });
+    });
+
+    return report;
+}
+
+module.exports = {
+    recordFeedback,
+    getFeedbackStats
+};
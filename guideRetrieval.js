@@ -0,0 +1,290 @@
+// =============================================================================
+// GUIDE RETRIEVAL - Scores guide entries against the user's prompt
+// =============================================================================
+
+// Weight of a matched detection pattern vs. a matched keyword.
+// Detection patterns are whole phrases users actually type, so a hit is a much
+// stronger signal than a single keyword appearing somewhere in the prompt.
+const DETECTION_PATTERN_WEIGHT = 3;
+const KEYWORD_WEIGHT = 1;
+
+// How many entries of each section to inject, per prompt complexity.
+// Simple prompts get a light touch, so nothing is injected for them.
+const RETRIEVAL_LIMITS = {
+    simple: { principles: 0, structural_elements: 0, anti_patterns: 0, task_guidance: 0 },
+    moderate: { principles: 2, structural_elements: 1, anti_patterns: 1, task_guidance: 1 },
+    vague: { principles: 3, structural_elements: 2, anti_patterns: 2, task_guidance: 2 },
+    detailed: { principles: 1, structural_elements: 1, anti_patterns: 2, task_guidance: 1 }
+};
+
+// Not every guide covers every task type - fall back to the closest section
+const TASK_GUIDE_FALLBACKS = {
+    data_analysis: 'reasoning_and_analysis',
+    reasoning_and_analysis: 'data_analysis'
+};
+
+// Token budget for few-shot before/after examples, per prompt complexity.
+// Examples show expansions, so they are skipped for light-touch strategies.
+const FEW_SHOT_TOKEN_BUDGETS = {
+    simple: 0,
+    moderate: 250,
+    vague: 500,
+    detailed: 0
+};
+const MAX_FEW_SHOT_EXAMPLES = 3;
+const TASK_TYPE_MATCH_BONUS = 2;
+
+// Normalize text for matching: lowercase, straighten quotes, collapse whitespace
+function normalizeText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[‘’]/g, "'")
+        .replace(/[“”]/g, '"')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Check whether a term appears in the text as a whole word/phrase.
+// Any letter counts as part of a word, so "data" does not match inside "datação".
+function containsTerm(normalizedText, term) {
+    const normalizedTerm = normalizeText(term);
+    if (!normalizedTerm) {
+        return false;
+    }
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{M}\\p{N}])${escapeRegExp(normalizedTerm)}($|[^\\p{L}\\p{M}\\p{N}])`, 'u');
+    return pattern.test(normalizedText);
+}
+
+// Guides are stored either as the raw `guide` object (what seed.js inserts)
+// or wrapped in `{ guide: {...} }` - accept both shapes
+function getGuideContent(guideData) {
+    if (!guideData) {
+        return {};
+    }
+    return guideData.guide && typeof guideData.guide === 'object' ? guideData.guide : guideData;
+}
+
+// Score a single guide entry against the prompt
+function scoreEntry(entry, normalizedPrompt) {
+    const matchedPatterns = (entry.detection_patterns || []).filter(pattern =>
+        containsTerm(normalizedPrompt, pattern)
+    );
+    const matchedKeywords = (entry.keywords || []).filter(keyword =>
+        containsTerm(normalizedPrompt, keyword)
+    );
+
+    return {
+        score: matchedPatterns.length * DETECTION_PATTERN_WEIGHT + matchedKeywords.length * KEYWORD_WEIGHT,
+        matched_patterns: matchedPatterns,
+        matched_keywords: matchedKeywords
+    };
+}
+
+// Rank entries by relevance to the prompt. Only entries with a positive score
+// are returned; ties keep the order the guide authors chose.
+function rankEntries(userPrompt, entries) {
+    const normalizedPrompt = normalizeText(userPrompt);
+
+    return (entries || [])
+        .map((entry, index) => ({ entry, index, ...scoreEntry(entry, normalizedPrompt) }))
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score || a.index - b.index);
+}
+
+// Select the most relevant principles for a prompt
+function selectRelevantPrinciples(userPrompt, allPrinciples, limit = 5) {
+    return rankEntries(userPrompt, allPrinciples)
+        .slice(0, limit)
+        .map(result => ({ ...result.entry, matched: true, score: result.score }));
+}
+
+// Every anti-pattern whose detection patterns literally appear in the prompt.
+// Keyword-only matches are too noisy to flag as a problem on their own.
+function matchAntiPatterns(userPrompt, guideData) {
+    const guide = getGuideContent(guideData);
+    return rankEntries(userPrompt, guide.anti_patterns)
+        .filter(result => result.matched_patterns.length > 0)
+        .map(result => ({ ...result.entry, matched_patterns: result.matched_patterns, score: result.score }));
+}
+
+// Find the task_specific_guides entries for a task type, honouring fallbacks
+function getTaskGuideEntries(guide, taskType) {
+    const taskGuides = guide.task_specific_guides || {};
+    if (!taskType || taskType === 'general') {
+        return [];
+    }
+    if (Array.isArray(taskGuides[taskType])) {
+        return taskGuides[taskType];
+    }
+    const fallback = TASK_GUIDE_FALLBACKS[taskType];
+    return fallback && Array.isArray(taskGuides[fallback]) ? taskGuides[fallback] : [];
+}
+
+// Retrieve the top-ranked principles, structural elements and anti-patterns
+// for a prompt, plus task-specific guidance for the detected task type.
+// When no principle (or task entry) matches, the guide's leading entries are
+// used instead so vague prompts still get grounded in the guide.
+function retrieveGuideContext(userPrompt, guideData, complexity = 'moderate', taskType = 'general') {
+    const guide = getGuideContent(guideData);
+    const limits = RETRIEVAL_LIMITS[complexity] || RETRIEVAL_LIMITS.moderate;
+
+    const pick = (entries, limit, { fallbackToLeading = false } = {}) => {
+        if (!limit || !Array.isArray(entries) || entries.length === 0) {
+            return [];
+        }
+        const ranked = rankEntries(userPrompt, entries)
+            .slice(0, limit)
+            .map(result => ({ ...result.entry, matched: true, score: result.score }));
+        if (ranked.length > 0 || !fallbackToLeading) {
+            return ranked;
+        }
+        return entries
+            .slice(0, limit)
+            .map(entry => ({ ...entry, matched: false, score: 0 }));
+    };
+
+    return {
+        principles: pick(guide.principles, limits.principles, { fallbackToLeading: true }),
+        structural_elements: pick(guide.structural_elements, limits.structural_elements),
+        anti_patterns: pick(guide.anti_patterns, limits.anti_patterns),
+        task_guidance: pick(getTaskGuideEntries(guide, taskType), limits.task_guidance, { fallbackToLeading: true })
+    };
+}
+
+// Rough token estimate (~4 characters per token) used for prompt budgets
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+// Count distinct words (3+ letters) shared between two texts
+function countSharedWords(textA, textB) {
+    const toWords = (text) => new Set(normalizeText(text).split(/[^a-z0-9']+/).filter(word => word.length > 2));
+    const wordsB = toWords(textB);
+    let shared = 0;
+    toWords(textA).forEach(word => {
+        if (wordsB.has(word)) {
+            shared++;
+        }
+    });
+    return shared;
+}
+
+// Pick the most relevant before/after example pairs from the guide's
+// task_specific_guides, stopping once the token budget is spent.
+// Examples from the detected task type get a bonus; examples with no
+// connection to the prompt at all are never included.
+function selectFewShotExamples(userPrompt, guideData, taskType = 'general', complexity = 'moderate') {
+    const guide = getGuideContent(guideData);
+    const tokenBudget = FEW_SHOT_TOKEN_BUDGETS[complexity] || 0;
+    if (tokenBudget <= 0) {
+        return [];
+    }
+
+    const normalizedPrompt = normalizeText(userPrompt);
+    const preferredEntries = getTaskGuideEntries(guide, taskType);
+    const candidates = [];
+
+    Object.entries(guide.task_specific_guides || {}).forEach(([section, entries]) => {
+        (entries || []).forEach(entry => {
+            const example = entry.example;
+            if (!example || !example.before || !example.after) {
+                return;
+            }
+            const score = scoreEntry(entry, normalizedPrompt).score
+                + countSharedWords(userPrompt, example.before)
+                + (preferredEntries.includes(entry) ? TASK_TYPE_MATCH_BONUS : 0);
+            if (score > 0) {
+                candidates.push({
+                    title: entry.title,
+                    task_type: section,
+                    before: example.before,
+                    after: example.after,
+                    score
+                });
+            }
+        });
+    });
+
+    candidates.sort((a, b) => b.score - a.score);
+
+    const selected = [];
+    let tokensUsed = 0;
+    for (const candidate of candidates) {
+        if (selected.length >= MAX_FEW_SHOT_EXAMPLES) {
+            break;
+        }
+        const cost = estimateTokens(candidate.before) + estimateTokens(candidate.after);
+        if (tokensUsed + cost > tokenBudget) {
+            continue;
+        }
+        selected.push(candidate);
+        tokensUsed += cost;
+    }
+
+    return selected;
+}
+
+// Render few-shot examples as a meta-prompt section
+function formatFewShotExamples(examples) {
+    if (!examples || examples.length === 0) {
+        return '';
+    }
+
+    let text = 'EXAMPLES OF GOOD REFINEMENTS (match this style, not the content):\n';
+    examples.forEach((example, index) => {
+        text += `Example ${index + 1}\n`;
+        text += `Original: ${example.before}\n`;
+        text += `Refined: ${example.after}\n\n`;
+    });
+
+    return text;
+}
+
+// Render retrieved guide context as meta-prompt sections.
+// `includeContent: false` keeps only the titles for lighter-touch strategies.
+function formatGuideContext(context, { includeContent = true } = {}) {
+    const sections = [
+        { key: 'principles', heading: 'KEY PRINCIPLES TO APPLY:' },
+        { key: 'structural_elements', heading: 'STRUCTURAL GUIDELINES:' },
+        { key: 'anti_patterns', heading: 'COMMON MISTAKES TO AVOID:' },
+        { key: 'task_guidance', heading: 'TASK-SPECIFIC GUIDELINES:' }
+    ];
+
+    let text = '';
+    sections.forEach(({ key, heading }) => {
+        const entries = context[key] || [];
+        if (entries.length === 0) {
+            return;
+        }
+        text += `${heading}\n`;
+        entries.forEach((entry, index) => {
+            text += includeContent
+                ? `${index + 1}. ${entry.title}: ${entry.content}\n`
+                : `${index + 1}. ${entry.title}\n`;
+        });
+        text += '\n';
+    });
+
+    return text;
+}
+
+module.exports = {
+    RETRIEVAL_LIMITS,
+    FEW_SHOT_TOKEN_BUDGETS,
+    normalizeText,
+    containsTerm,
+    getGuideContent,
+    getTaskGuideEntries,
+    rankEntries,
+    selectRelevantPrinciples,
+    matchAntiPatterns,
+    retrieveGuideContext,
+    formatGuideContext,
+    estimateTokens,
+    selectFewShotExamples,
+    formatFewShotExamples
+};
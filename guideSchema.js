@@ -0,0 +1,195 @@
+// Import the guide schema
+const guideSchema = require('./_data/guide.schema.json');
+const { normalizeText, containsTerm } = require('./guideRetrieval');
+
+// =============================================================================
+// GUIDE SCHEMA VALIDATION AND LINTING
+// =============================================================================
+
+// _data/guide.schema.json is the formal definition of the guide file format.
+// It is checked with a small interpreter for the keywords it uses (type,
+// required, properties, additionalProperties, propertyNames, enum, items,
+// minItems, minLength, $ref) so no schema library is needed at runtime.
+
+// Leftover source citations such as "[cite: 154, 155]" or "[cite_start]"
+const CITATION_PATTERN = /\s*\[cite(?:_start|_end)?(?::[^\]]*)?\]/g;
+
+const ENTRY_SECTIONS = ['principles', 'structural_elements', 'anti_patterns'];
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+// Follow a local "#/definitions/..." reference
+function resolveRef(ref) {
+    return ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], guideSchema);
+}
+
+// Check a value against a schema node, collecting errors as { path, message }
+function checkSchema(value, schema, path, errors) {
+    if (schema.$ref) {
+        return checkSchema(value, resolveRef(schema.$ref), path, errors);
+    }
+
+    if (schema.type && typeOf(value) !== schema.type) {
+        errors.push({ path, message: `must be of type ${schema.type}` });
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+    }
+
+    if (typeof value === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+        errors.push({ path, message: 'must not be empty' });
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push({ path, message: `must contain at least ${schema.minItems} item(s)` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => checkSchema(item, schema.items, `${path}[${index}]`, errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                errors.push({ path, message: `is missing required field "${key}"` });
+            }
+        });
+
+        Object.keys(value).forEach(key => {
+            const childPath = path ? `${path}.${key}` : key;
+
+            if (schema.propertyNames) {
+                checkSchema(key, schema.propertyNames, childPath, errors);
+            }
+
+            if (schema.properties && schema.properties[key]) {
+                checkSchema(value[key], schema.properties[key], childPath, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path, message: `has unknown field "${key}"` });
+            } else if (typeof schema.additionalProperties === 'object') {
+                checkSchema(value[key], schema.additionalProperties, childPath, errors);
+            }
+        });
+    }
+}
+
+// Every entry of a guide body with its path, grouped by the section it belongs to
+function collectEntries(guide) {
+    const sections = [];
+
+    ENTRY_SECTIONS.forEach(section => {
+        if (Array.isArray(guide[section])) {
+            sections.push({ path: `guide.${section}`, entries: guide[section] });
+        }
+    });
+
+    Object.entries(guide.task_specific_guides || {}).forEach(([taskType, entries]) => {
+        if (Array.isArray(entries)) {
+            sections.push({ path: `guide.task_specific_guides.${taskType}`, entries });
+        }
+    });
+
+    return sections;
+}
+
+// Report every string in the guide that still contains a citation marker
+function findCitationArtifacts(value, path, errors) {
+    if (typeof value === 'string') {
+        const markers = value.match(CITATION_PATTERN);
+        if (markers) {
+            errors.push({ path, message: `contains citation artifact(s): ${markers.map(marker => marker.trim()).join(' ')}` });
+        }
+    } else if (Array.isArray(value)) {
+        value.forEach((item, index) => findCitationArtifacts(item, `${path}[${index}]`, errors));
+    } else if (typeOf(value) === 'object') {
+        Object.keys(value).forEach(key => findCitationArtifacts(value[key], path ? `${path}.${key}` : key, errors));
+    }
+}
+
+// Titles must be unique across the whole guide
+function findDuplicateTitles(sections, errors) {
+    const seen = new Map();
+
+    sections.forEach(({ path, entries }) => {
+        entries.forEach((entry, index) => {
+            if (!entry || typeof entry.title !== 'string') return;
+
+            const key = normalizeText(entry.title);
+            const entryPath = `${path}[${index}]`;
+            if (seen.has(key)) {
+                errors.push({ path: entryPath, message: `duplicate title "${entry.title}" (also at ${seen.get(key)})` });
+            } else {
+                seen.set(key, entryPath);
+            }
+        });
+    });
+}
+
+// Detection patterns that never add a match: repeated within an entry, implied
+// by a shorter pattern of the same entry, or shared by two entries of a section
+function findOverlappingPatterns(sections, warnings) {
+    sections.forEach(({ path, entries }) => {
+        const owners = new Map();
+
+        entries.forEach((entry, index) => {
+            if (!entry || !Array.isArray(entry.detection_patterns)) return;
+
+            const entryPath = `${path}[${index}].detection_patterns`;
+            const patterns = entry.detection_patterns
+                .filter(pattern => typeof pattern === 'string' && pattern.trim().length > 0)
+                .map(pattern => normalizeText(pattern));
+
+            patterns.forEach((pattern, position) => {
+                if (patterns.indexOf(pattern) !== position) {
+                    warnings.push({ path: entryPath, message: `repeats the pattern "${pattern}"` });
+                    return;
+                }
+
+                const shorter = patterns.find(other => other !== pattern && containsTerm(pattern, other));
+                if (shorter) {
+                    warnings.push({ path: entryPath, message: `pattern "${pattern}" is redundant - "${shorter}" already matches it` });
+                }
+
+                if (owners.has(pattern) && owners.get(pattern) !== entry.title) {
+                    warnings.push({ path: entryPath, message: `pattern "${pattern}" is also used by "${owners.get(pattern)}"` });
+                } else {
+                    owners.set(pattern, entry.title);
+                }
+            });
+        });
+    });
+}
+
+// Validate a guide file ({ platform, version, guide }).
+// Errors make a guide unusable; warnings point at patterns worth cleaning up.
+function validateGuide(guideFile) {
+    const errors = [];
+    const warnings = [];
+
+    checkSchema(guideFile, guideSchema, '', errors);
+    findCitationArtifacts(guideFile, '', errors);
+
+    if (guideFile && typeOf(guideFile.guide) === 'object') {
+        const sections = collectEntries(guideFile.guide);
+        findDuplicateTitles(sections, errors);
+        findOverlappingPatterns(sections, warnings);
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors: errors.map(issue => ({ ...issue, path: issue.path || '(root)' })),
+        warnings: warnings
+    };
+}
+
+module.exports = {
+    CITATION_PATTERN,
+    validateGuide
+};
@@ -2,23 +2,146 @@
 const express = require('express');
 require('dotenv').config();
 const supabase = require('./supabaseClient');
-const { GoogleGenerativeAI } = require("@google/generative-ai");
+const {
+    getGuideContent,
+    retrieveGuideContext,
+    selectFewShotExamples,
+    matchAntiPatterns
+} = require('./guideRetrieval');
+const { generateText, streamText } = require('./llmProviders');
+const { cleanEnhancedPrompt, createPrefixStripper } = require('./promptCleanup');
+const { requireAuth, requireAdmin } = require('./authMiddleware');
+const {
+    reserveCredits,
+    refundCredits,
+    resetCredits,
+    reserveWorkspaceCredits,
+    resetWorkspaceCredits,
+    recordGrant,
+    getCreditHistory
+} = require('./creditLedger');
+const {
+    DEFAULT_PLAN,
+    DEFAULT_WORKSPACE_PLAN,
+    DEFAULT_TIME_ZONE,
+    getPlan,
+    resolveUserPlan,
+    listPlans,
+    getOperationCost,
+    isValidTimeZone,
+    getNextReset,
+    isResetDue
+} = require('./plans');
+const {
+    saveEnhancement,
+    listHistory,
+    getHistoryEntry,
+    setFavorite,
+    deleteHistoryEntry,
+    clearHistory,
+    setHistoryEnabled
+} = require('./enhancementHistory');
+const { recordFeedback, getFeedbackStats } = require('./feedback');
+const {
+    validateTemplate,
+    validateTemplateVariables,
+    fillTemplate,
+    canUseTemplate,
+    presentTemplate,
+    listTemplates,
+    listPublishedTemplates,
+    listWorkspaceTemplates,
+    getTemplate,
+    findTemplateByName,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate
+} = require('./promptTemplates');
+const {
+    PREFERENCE_CHOICES,
+    validatePreferences,
+    normalizePreferences,
+    mergePreferences,
+    resolvePreferences,
+    getPreferences,
+    savePreferences
+} = require('./userPreferences');
+const {
+    INVITE_ROLES,
+    MAX_OWNED_WORKSPACES,
+    hasRole,
+    validateWorkspaceSettings,
+    toSettingColumns,
+    createWorkspace,
+    countOwnedWorkspaces,
+    getWorkspace,
+    updateWorkspace,
+    deleteWorkspace,
+    listUserWorkspaces,
+    listWorkspaceIds,
+    getMembership,
+    listMembers,
+    addMember,
+    updateMemberRole,
+    removeMember,
+    setActiveWorkspace,
+    createInvite,
+    listInvites,
+    getInvite,
+    deleteInvite,
+    getWorkspaceUsage
+} = require('./workspaces');
+const { parseExplainedEnhancement, buildExplanation } = require('./explanations');
+const {
+    MIN_STYLES,
+    MAX_STYLES,
+    listVariants,
+    formatLanguageReminder,
+    buildSystemPrompt,
+    buildExplainPrompt,
+    buildTranslationPrompt,
+    resolveStyles,
+    listStyleIds,
+    buildStylePrompt
+} = require('./metaPrompts');
+const {
+    chooseVariant,
+    validateExperiment,
+    listExperiments,
+    createExperiment,
+    setExperimentStatus,
+    getExperimentResults
+} = require('./experiments');
+const {
+    listGuides,
+    getGuide,
+    findGuideVersion,
+    activateGuide,
+    createGuide,
+    updateGuide,
+    deleteGuide
+} = require('./promptGuides');
+const {
+    getPlatform,
+    resolvePlatformName,
+    listPlatforms,
+    compareFormatting
+} = require('./platforms');
+const { validateGuide } = require('./guideSchema');
+const { DEFAULT_THRESHOLDS, resolveThresholds, analyzePromptComplexity, detectTaskType } = require('./promptClassifier');
+const { detectLanguage, matchesLanguage, glossPrompt } = require('./languages');
+const { resolveConversation } = require('./conversationContext');
 
 // Create Express application
 const app = express();
 
-// Gemini AI Configuration
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-const AI_MODEL = "gemini-flash-lite-latest";
-
 // CORS Configuration - Allow Chrome Extension and all origins
 app.use((req, res, next) => {
     // Allow any origin
     res.setHeader('Access-Control-Allow-Origin', '*');
 
     // Allow specific methods
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
 
     // Allow specific headers
     res.setHeader('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
@@ -50,6 +173,21 @@ app.get('/', (req, res) => {
     });
 });
 
+// Build the public.users row for a new account on the default plan
+function buildNewUserRecord({ id, email, name, timeZone }) {
+    const plan = getPlan(DEFAULT_PLAN);
+    return {
+        id: id,
+        email: email,
+        name: name,
+        plan: plan.name,
+        timezone: isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE,
+        credits_remaining: plan.allowance || 0,
+        has_unlimited_access: false,
+        last_credit_reset: new Date().toISOString()
+    };
+}
+
 // =============================================================================
 // AUTHENTICATION ENDPOINTS
 // =============================================================================
@@ -57,8 +195,8 @@ app.get('/', (req, res) => {
 // POST endpoint for user registration
 app.post('/api/auth/register', async (req, res) => {
     try {
-        // Extract name, email, and password from request body
-        const { name, email, password } = req.body;
+        // Extract name, email, password and optional timezone from request body
+        const { name, email, password, timezone } = req.body;
 
         // Validate that email is provided
         if (!email) {
@@ -81,6 +219,13 @@ app.post('/api/auth/register', async (req, res) => {
             });
         }
 
+        // Validate the timezone used for calendar credit resets
+        if (timezone && !isValidTimeZone(timezone)) {
+            return res.status(400).json({
+                error: 'Timezone must be a valid IANA timezone such as "Europe/Berlin"'
+            });
+        }
+
 
         // Use Supabase Auth to create a new user
         const { data, error } = await supabase.auth.signUp({
@@ -112,23 +257,22 @@ app.post('/api/auth/register', async (req, res) => {
         // Create user record in public.users table
         try {
 
+            const newUser = buildNewUserRecord({
+                id: data.user.id,
+                email: email,
+                name: name,
+                timeZone: timezone
+            });
+
             const { data: insertData, error: insertError } = await supabase
                 .from('users')
-                .insert([
-                    {
-                        id: data.user.id,
-                        email: email,
-                        name: name,
-                        credits_remaining: 8,
-                        has_unlimited_access: false,
-                        last_credit_reset: new Date().toISOString()
-                    }
-                ])
+                .insert([newUser])
                 .select();
 
             if (insertError) {
                 // Don't fail the registration, just log the error
             } else {
+                await recordGrant(newUser.id, newUser.credits_remaining, newUser.credits_remaining, 'signup');
             }
         } catch (insertErr) {
         }
@@ -205,20 +349,18 @@ app.post('/api/auth/login', async (req, res) => {
 
             if (!existingUser && !fetchError) {
                 // User doesn't exist in public.users, create them
+                const newUser = buildNewUserRecord({
+                    id: data.user.id,
+                    email: email,
+                    name: data.user.user_metadata?.name || email.split('@')[0]
+                });
+
                 const { error: insertError } = await supabase
                     .from('users')
-                    .insert([
-                        {
-                            id: data.user.id,
-                            email: email,
-                            name: data.user.user_metadata?.name || email.split('@')[0],
-                            credits_remaining: 8,
-                            has_unlimited_access: false,
-                            last_credit_reset: new Date().toISOString()
-                        }
-                    ]);
+                    .insert([newUser]);
 
                 if (!insertError) {
+                    await recordGrant(newUser.id, newUser.credits_remaining, newUser.credits_remaining, 'signup');
                 }
             }
         } catch (err) {
@@ -253,11 +395,22 @@ app.post('/api/auth/login', async (req, res) => {
 // COUPON REDEMPTION ENDPOINT
 // =============================================================================
 
+// Why a coupon was refused, keyed by the status returned from redeem_coupon
+const COUPON_REFUSALS = {
+    not_found: { status: 404, error: 'Invalid coupon code' },
+    inactive: { status: 400, error: 'This coupon code is no longer active' },
+    expired: { status: 400, error: 'This coupon code has expired' },
+    exhausted: { status: 400, error: 'This coupon code has reached its redemption limit' },
+    already_redeemed: { status: 409, error: 'You have already redeemed this coupon code' },
+    already_unlimited: { status: 409, error: 'You already have unlimited access' }
+};
+
 // POST endpoint for coupon redemption
-app.post('/api/user/redeem-coupon', async (req, res) => {
+app.post('/api/user/redeem-coupon', requireAuth, async (req, res) => {
     try {
-        // Extract coupon_code and userId from request body
-        const { coupon_code, userId } = req.body;
+        // Extract coupon_code from request body - the user comes from the access token
+        const { coupon_code } = req.body;
+        const userId = req.user.id;
 
         // Validate that coupon_code is provided
         if (!coupon_code) {
@@ -266,18 +419,10 @@ app.post('/api/user/redeem-coupon', async (req, res) => {
             });
         }
 
-        // Validate that userId is provided
-        if (!userId) {
-            return res.status(400).json({
-                error: 'User ID is required in the request body'
-            });
-        }
-
-
         // Check if user exists
         const { data: userData, error: userFetchError } = await supabase
             .from('users')
-            .select('id, email, has_unlimited_access')
+            .select('id, email, last_credit_reset')
             .eq('id', userId)
             .maybeSingle();
 
@@ -293,66 +438,75 @@ app.post('/api/user/redeem-coupon', async (req, res) => {
             });
         }
 
-        // Check if user already has unlimited access
-        if (userData.has_unlimited_access) {
-            return res.status(200).json({
-                success: true,
-                message: 'You already have unlimited access',
-                has_unlimited_access: true
-            });
-        }
-
-        // Validate the coupon code in super_coupons table
-        const { data: couponData, error: couponFetchError } = await supabase
-            .from('super_coupons')
-            .select('id, coupon_code, is_active')
-            .eq('coupon_code', coupon_code)
-            .maybeSingle();
+        // Validate and apply the coupon atomically (expiry, limits, one per user,
+        // no unlimited coupon for a user who already has unlimited access)
+        const { data: redemptionRows, error: redeemError } = await supabase.rpc('redeem_coupon', {
+            p_coupon_code: coupon_code,
+            p_user_id: userId
+        });
 
-        if (couponFetchError) {
+        if (redeemError) {
             return res.status(500).json({
                 error: 'Failed to validate coupon code'
             });
         }
 
-        // Check if coupon exists
-        if (!couponData) {
-            return res.status(404).json({
-                error: 'Invalid coupon code',
+        const redemption = Array.isArray(redemptionRows) ? redemptionRows[0] : redemptionRows;
+
+        // Explain precisely why the coupon was refused
+        if (!redemption || redemption.status !== 'redeemed') {
+            const refusal = COUPON_REFUSALS[redemption?.status] || COUPON_REFUSALS.not_found;
+            return res.status(refusal.status).json({
+                error: refusal.error,
+                reason: redemption?.status || 'not_found',
                 success: false
             });
         }
 
-        // Check if coupon is active
-        if (!couponData.is_active) {
-            return res.status(400).json({
-                error: 'This coupon code is no longer active',
-                success: false
+        // Bonus credits were added to the balance inside the transaction
+        if (redemption.coupon_type === 'credits') {
+            return res.status(200).json({
+                success: true,
+                message: `Coupon redeemed successfully! ${redemption.credits_granted} bonus credits have been added.`,
+                coupon_code: coupon_code,
+                coupon_type: 'credits',
+                credits_granted: redemption.credits_granted,
+                credits_remaining: redemption.balance_after
             });
         }
 
+        // Plan upgrades start a fresh period on the upgraded plan's allowance
+        if (redemption.coupon_type === 'plan_upgrade') {
+            const upgradedPlan = getPlan(redemption.plan_granted);
+            let creditsRemaining = redemption.balance_after;
+
+            if (!upgradedPlan.unlimited && upgradedPlan.allowance > creditsRemaining) {
+                try {
+                    const reset = await resetCredits(userId, upgradedPlan.allowance, userData.last_credit_reset, `coupon:${coupon_code}`);
+                    creditsRemaining = reset ? reset.balance_after : creditsRemaining;
+                } catch (resetError) {
+                    // The upgrade itself is applied; credits refill at the next reset
+                }
+            }
 
-        // Update user to grant unlimited access
-        const { error: updateError } = await supabase
-            .from('users')
-            .update({
-                has_unlimited_access: true
-            })
-            .eq('id', userId);
-
-        if (updateError) {
-            return res.status(500).json({
-                error: 'Failed to grant unlimited access'
+            return res.status(200).json({
+                success: true,
+                message: `Coupon redeemed successfully! You are on the ${upgradedPlan.display_name} plan until ${new Date(redemption.plan_expires_at).toDateString()}.`,
+                coupon_code: coupon_code,
+                coupon_type: 'plan_upgrade',
+                plan: upgradedPlan.name,
+                plan_expires_at: redemption.plan_expires_at,
+                credits_remaining: creditsRemaining
             });
         }
 
-
         // Return success response
         res.status(200).json({
             success: true,
             message: 'Coupon redeemed successfully! You now have unlimited access.',
             has_unlimited_access: true,
-            coupon_code: coupon_code
+            coupon_code: coupon_code,
+            coupon_type: 'unlimited'
         });
 
     } catch (error) {
@@ -363,491 +517,2705 @@ app.post('/api/user/redeem-coupon', async (req, res) => {
 });
 
 // =============================================================================
-// PROMPT ENHANCEMENT ENDPOINT
+// CREDIT HISTORY ENDPOINT
 // =============================================================================
 
-// POST API endpoint for prompt enhancement
-app.post('/api/enhance', async (req, res) => {
+// GET endpoint for the user's credit ledger (grants, resets, spends and refunds)
+app.get('/api/user/credits/history', requireAuth, async (req, res) => {
     try {
-        // Extract platform, prompt, and userId from request body
-        const { platform, prompt, userId } = req.body;
+        // Parse pagination options from the query string
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+        const before = req.query.before || null;
 
-        // Validate that platform is provided
-        if (!platform) {
+        // Validate the pagination cursor
+        if (before && isNaN(new Date(before).getTime())) {
             return res.status(400).json({
-                error: 'Platform is required in the request body'
+                error: 'The before parameter must be an ISO timestamp'
             });
         }
 
-        // Validate that prompt is provided
-        if (!prompt) {
-            return res.status(400).json({
-                error: 'Prompt is required in the request body'
-            });
-        }
+        const transactions = await getCreditHistory(req.user.id, { limit, before });
+
+        res.json({
+            success: true,
+            transactions: transactions,
+            next_before: transactions.length === limit ? transactions[transactions.length - 1].created_at : null
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while fetching credit history'
+        });
+    }
+});
+
+// =============================================================================
+// ENHANCEMENT HISTORY ENDPOINTS
+// =============================================================================
+
+// History entry ids are UUIDs; anything else can't exist
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
-        // Validate that userId is provided
-        if (!userId) {
+// GET endpoint to list and search the user's enhancement history
+app.get('/api/user/history', requireAuth, async (req, res) => {
+    try {
+        // Parse filters and pagination options from the query string
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+        const before = req.query.before || null;
+
+        // Validate the pagination cursor
+        if (before && isNaN(new Date(before).getTime())) {
             return res.status(400).json({
-                error: 'User ID is required in the request body'
+                error: 'The before parameter must be an ISO timestamp'
             });
         }
 
+        const entries = await listHistory(req.user.id, {
+            search: req.query.search || null,
+            favoritesOnly: req.query.favorites === 'true',
+            platform: req.query.platform || null,
+            limit: limit,
+            before: before
+        });
 
-        // =============================================================================
-        // CREDIT MANAGEMENT LOGIC
-        // =============================================================================
+        res.json({
+            success: true,
+            entries: entries,
+            next_before: entries.length === limit ? entries[entries.length - 1].created_at : null
+        });
 
-        // Fetch user data from the database
-        let { data: userData, error: userFetchError } = await supabase
-            .from('users')
-            .select('id, email, credits_remaining, has_unlimited_access, last_credit_reset')
-            .eq('id', userId)
-            .maybeSingle();
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while fetching history'
+        });
+    }
+});
 
-        if (userFetchError) {
-            return res.status(500).json({
-                error: 'Failed to fetch user data'
+// PUT endpoint to switch history recording on or off
+app.put('/api/user/history/settings', requireAuth, async (req, res) => {
+    try {
+        const { enabled } = req.body;
+
+        // Validate that enabled is a boolean
+        if (typeof enabled !== 'boolean') {
+            return res.status(400).json({
+                error: 'enabled must be true or false'
             });
         }
 
-        // If user doesn't exist in public.users, try to create them
-        // This will only succeed if the user exists in auth.users (foreign key constraint)
-        if (!userData) {
+        await setHistoryEnabled(req.user.id, enabled);
 
-            // Get user email from auth.users using admin API
-            // Since we're using service role key, we can query auth schema
-            let userEmail = 'user@example.com';
-            let userName = 'User';
+        res.json({
+            success: true,
+            history_enabled: enabled
+        });
 
-            try {
-                // Try to get user info from auth - if this fails, user doesn't exist
-                const { data: authUser, error: authError } = await supabase.auth.admin.getUserById(userId);
-                if (!authError && authUser?.user) {
-                    userEmail = authUser.user.email || userEmail;
-                    userName = authUser.user.user_metadata?.name || authUser.user.email?.split('@')[0] || userName;
-                }
-            } catch (e) {
-            }
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while updating history settings'
+        });
+    }
+});
 
-            // Try to create the user record
-            // If the user exists in auth.users, this will succeed
-            // If not, we'll get a foreign key constraint error
-            const { data: newUserData, error: createError } = await supabase
-                .from('users')
-                .insert([
-                    {
-                        id: userId,
-                        email: userEmail,
-                        name: userName,
-                        credits_remaining: 8,
-                        has_unlimited_access: false,
-                        last_credit_reset: new Date().toISOString()
-                    }
-                ])
-                .select('id, email, credits_remaining, has_unlimited_access, last_credit_reset')
-                .single();
-
-            if (createError) {
-                // Foreign key constraint violation means user doesn't exist in auth.users
-                if (createError.code === '23503' || createError.message?.includes('foreign key')) {
-                    return res.status(404).json({
-                        error: 'User not found. Please log in again to refresh your session.'
-                    });
-                }
-                // Duplicate key error - user exists with same email but possibly different ID
-                if (createError.code === '23505') {
-                    // Try to find user by email
-                    const { data: existingUserByEmail, error: emailError } = await supabase
-                        .from('users')
-                        .select('id, email, credits_remaining, has_unlimited_access, last_credit_reset')
-                        .eq('email', userEmail)
-                        .maybeSingle();
+// PATCH endpoint to favorite or unfavorite a history entry
+app.patch('/api/user/history/:id', requireAuth, async (req, res) => {
+    try {
+        const { is_favorite } = req.body;
 
-                    if (existingUserByEmail) {
-                        // User exists but with different ID - this is a data inconsistency
-                        // For now, use the existing user's data
-                        userData = existingUserByEmail;
-                    } else {
-                        // Try once more by the requested userId (race condition)
-                        const { data: retryData } = await supabase
-                            .from('users')
-                            .select('id, email, credits_remaining, has_unlimited_access, last_credit_reset')
-                            .eq('id', userId)
-                            .maybeSingle();
-                        if (retryData) {
-                            userData = retryData;
-                        } else {
-                            return res.status(500).json({
-                                error: 'Failed to create user record. User email exists with different ID.'
-                            });
-                        }
-                    }
-                } else {
-                    return res.status(500).json({
-                        error: 'Failed to create user record'
-                    });
-                }
-            } else {
-                userData = newUserData;
-            }
+        // Validate that is_favorite is a boolean
+        if (typeof is_favorite !== 'boolean') {
+            return res.status(400).json({
+                error: 'is_favorite must be true or false'
+            });
         }
 
+        const entry = UUID_PATTERN.test(req.params.id)
+            ? await setFavorite(req.user.id, req.params.id, is_favorite)
+            : null;
 
-        // Check if credits need to be reset (24 hours have passed)
-        let currentCredits = userData.credits_remaining;
-        let hasUnlimitedAccess = userData.has_unlimited_access;
+        if (!entry) {
+            return res.status(404).json({
+                error: 'History entry not found'
+            });
+        }
 
-        if (userData.last_credit_reset) {
-            const lastReset = new Date(userData.last_credit_reset);
-            const now = new Date();
-            const hoursSinceReset = (now - lastReset) / (1000 * 60 * 60);
+        res.json({
+            success: true,
+            entry: entry
+        });
 
-            // If more than 24 hours have passed, reset credits
-            if (hoursSinceReset >= 24) {
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while updating history entry'
+        });
+    }
+});
 
-                const { error: resetError } = await supabase
-                    .from('users')
-                    .update({
-                        credits_remaining: 8,
-                        last_credit_reset: new Date().toISOString()
-                    })
-                    .eq('id', userId);
-
-                if (resetError) {
-                    return res.status(500).json({
-                        error: 'Failed to reset user credits'
-                    });
-                }
+// DELETE endpoint to remove a single history entry
+app.delete('/api/user/history/:id', requireAuth, async (req, res) => {
+    try {
+        const deleted = UUID_PATTERN.test(req.params.id)
+            ? await deleteHistoryEntry(req.user.id, req.params.id)
+            : false;
 
-                currentCredits = 8;
-            }
+        if (!deleted) {
+            return res.status(404).json({
+                error: 'History entry not found'
+            });
         }
 
-        // Check if user has unlimited access
-        if (hasUnlimitedAccess) {
-        } else {
-            // Check if user has credits remaining
-            if (currentCredits <= 0) {
-                return res.status(402).json({
-                    error: 'No credits remaining. Please wait 24 hours for them to reset.',
-                    credits_remaining: 0,
-                    next_reset: userData.last_credit_reset
-                        ? new Date(new Date(userData.last_credit_reset).getTime() + 24 * 60 * 60 * 1000).toISOString()
-                        : new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
-                });
-            }
+        res.json({
+            success: true,
+            message: 'History entry deleted'
+        });
 
-        }
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while deleting history entry'
+        });
+    }
+});
 
-        // Map frontend platform names to database platform names
-        const platformMapping = {
-            'chatgpt': 'GPT 5',
-            'gpt': 'GPT 5',
-            'openai': 'GPT 5',
-            'claude': 'Claude Sonnet 4',
-            'claude.ai': 'Claude Sonnet 4',
-            'gemini': 'Gemini 2.5',
-            'google': 'Gemini 2.5',
-            // Add capitalized versions for compatibility
-            'ChatGPT': 'GPT 5',
-            'Claude': 'Claude Sonnet 4',
-            'Gemini': 'Gemini 2.5'
-        };
+// DELETE endpoint to clear the whole history
+app.delete('/api/user/history', requireAuth, async (req, res) => {
+    try {
+        const deletedCount = await clearHistory(req.user.id);
 
-        // Try to map the platform, checking both original case and lowercase
-        const mappedPlatform = platformMapping[platform] || platformMapping[platform.toLowerCase()] || platform;
+        res.json({
+            success: true,
+            deleted: deletedCount
+        });
 
-        // Query the prompt_guides table for the specified platform
-        const { data, error } = await supabase
-            .from('prompt_guides')
-            .select('guide_data')
-            .eq('platform', mappedPlatform)
-            .maybeSingle();
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while clearing history'
+        });
+    }
+});
 
-        if (error) {
-            return res.status(500).json({
-                error: 'Database query failed'
+// POST endpoint to re-enhance a stored prompt for another platform.
+// Runs the normal enhancement (and charges credits) with the original prompt.
+app.post('/api/user/history/:id/re-enhance', requireAuth, async (req, res) => {
+    try {
+        const { platform } = req.body;
+
+        // Validate that platform is provided
+        if (!platform) {
+            return res.status(400).json({
+                error: 'Platform is required in the request body'
             });
         }
 
-        // Check if a guide was found
-        if (!data) {
+        const entry = UUID_PATTERN.test(req.params.id)
+            ? await getHistoryEntry(req.user.id, req.params.id)
+            : null;
+
+        if (!entry) {
             return res.status(404).json({
-                error: 'Guide not found for the specified platform'
+                error: 'History entry not found'
             });
         }
 
+        req.body = { platform: platform, prompt: entry.original_prompt };
+        return handleEnhance(req, res, { sourceHistoryId: entry.id });
 
-        // Construct the meta-prompt (system prompt) from the guide data
-        const guide_data = data.guide_data;
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while re-enhancing history entry'
+        });
+    }
+});
 
-        // =============================================================================
-        // PROMPT COMPLEXITY DETECTION - Determines enhancement strategy
-        // =============================================================================
+// =============================================================================
+// USER PREFERENCES ENDPOINTS
+// =============================================================================
 
-        function detectPromptComplexity(userPrompt) {
-            // =============================================================================
-            // PREPROCESSING - Clean up common patterns before analysis
-            // =============================================================================
-
-            // Strip conversational prefixes
-            const conversationalPrefixes = /^(hey|hi|hello|please|can you|could you|would you|i need you to|i want you to|help me|assist me|i need|i want)\s*/i;
-            const cleanedPrompt = userPrompt.replace(conversationalPrefixes, '').trim();
-
-            const words = cleanedPrompt.split(/\s+/).filter(w => w.length > 0);
-            const wordCount = words.length;
-            const promptLower = cleanedPrompt.toLowerCase();
-            const originalLower = userPrompt.toLowerCase();
-
-            // =============================================================================
-            // EDGE CASE DETECTORS
-            // =============================================================================
-
-            // SHORT BUT CLEAR: "[language/tool] [topic]" pattern (e.g., "python fibonacci", "react hooks")
-            const shortButClearPattern = /^(python|javascript|java|react|node|sql|html|css|typescript|go|rust|git|docker|aws|linux|bash|c\+\+|c#|ruby|php|swift|kotlin)\s+\w+/i;
-            const isShortButClear = shortButClearPattern.test(cleanedPrompt) ||
-                /^(explain|what is|how to|how do i|difference between|compare)\s+\w+/i.test(cleanedPrompt);
-
-            // QUESTION FORMAT: Technical questions are often clear
-            const isTechnicalQuestion = /^(how|what|why|when|where|which|can i|should i)\s+.*(code|function|error|bug|work|use|implement|create)/i.test(cleanedPrompt);
-
-            // FILLER WORD DENSITY: High filler = vague even if long
-            const fillerWords = (originalLower.match(/\b(something|thing|stuff|really|very|just|like|kind of|sort of|basically|actually|maybe|probably|cool|nice|good|great|amazing|awesome)\b/g) || []).length;
-            const fillerDensity = wordCount > 0 ? fillerWords / wordCount : 0;
-            const hasHighFillerDensity = fillerDensity > 0.2; // More than 20% filler words
-
-            // MULTI-PART REQUEST: Multiple distinct tasks
-            const multiPartIndicators = (originalLower.match(/\b(and also|and then|also|as well as|plus|additionally)\b/g) || []).length;
-            const hasMultipleTasks = multiPartIndicators >= 2 || (originalLower.match(/\band\b/g) || []).length >= 3;
-
-            // USER CONSTRAINTS: Explicit limits the AI should preserve
-            const hasExplicitConstraints = /(without|don't|do not|don't|no |never|under \d+|less than|at most|maximum|brief|short|concise|simple|basic)/i.test(originalLower);
-
-            // CODE/ERROR CONTEXT: User provided actual code or error message
-            const hasCodeContext = /[{}\[\]();]|function\s*\(|=>|error:|exception:|undefined|null|true|false/i.test(userPrompt);
-
-            // =============================================================================
-            // DETECTION LOGIC
-            // =============================================================================
-
-            // Indicators of a clear, direct request
-            const hasDirectTask = /(write|create|build|make|generate|code|develop|design|implement|explain|show|give|list|find|fix|debug|convert|translate)/.test(promptLower);
-            const hasSpecificSubject = /(function|program|script|app|website|api|class|method|component|page|form|button|table|list|array|string|number|file|database|server|client)/.test(promptLower);
-            const hasLanguageOrTool = /(python|javascript|java|react|node|sql|html|css|typescript|go|rust|c\+\+|angular|vue|express|django|flask|spring|mongodb|postgres|redis)/.test(promptLower);
-
-            // Indicators of vagueness
-            const isVeryShort = wordCount <= 3; // Reduced from 5 to 3
-            const lacksContext = !/(for|using|with|that|which|to|in|on|about|from)/.test(promptLower);
-            const isAmbiguous = /(something|thing|stuff|help|assist|do this|do that)/.test(promptLower) && wordCount < 10;
-
-            // Indicators of already detailed prompt
-            const hasMultipleSentences = (userPrompt.match(/[.!?]/g) || []).length >= 2;
-            const hasStructure = /(step|first|then|also|include|should|must|requirements?|specifications?|criteria|constraints?)/.test(promptLower);
-            const isLong = wordCount >= 30;
-
-            // =============================================================================
-            // DECISION TREE (order matters!)
-            // =============================================================================
-
-            // EDGE CASE 1: Short but clear technical queries (e.g., "python fibonacci")
-            if (isShortButClear && wordCount >= 2 && wordCount <= 6) {
-                return 'simple';
-            }
+// GET endpoint for the user's style preferences and the available choices
+app.get('/api/user/preferences', requireAuth, async (req, res) => {
+    try {
+        const preferences = await getPreferences(req.user.id);
 
-            // EDGE CASE 2: Technical questions are usually clear
-            if (isTechnicalQuestion && wordCount <= 15) {
-                return 'simple';
-            }
+        res.json({
+            success: true,
+            preferences: preferences,
+            choices: PREFERENCE_CHOICES
+        });
 
-            // EDGE CASE 3: Has code/error context = user is being specific
-            if (hasCodeContext && hasDirectTask) {
-                return 'simple';
-            }
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while fetching preferences'
+        });
+    }
+});
 
-            // EDGE CASE 4: Long but full of filler = still vague
-            if (hasHighFillerDensity && !hasSpecificSubject && !hasLanguageOrTool) {
-                return 'vague';
-            }
+// PUT endpoint to replace the user's style preferences - fields that are left
+// out or null are cleared, so {} resets the profile
+app.put('/api/user/preferences', requireAuth, async (req, res) => {
+    try {
+        const errors = validatePreferences(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Preferences are not valid',
+                details: errors
+            });
+        }
 
-            // EDGE CASE 5: Multi-part requests need moderate expansion
-            if (hasMultipleTasks && wordCount < 25) {
-                return 'moderate';
-            }
+        const preferences = await savePreferences(req.user.id, req.body);
 
-            // EDGE CASE 6: User has explicit constraints - respect them (light touch)
-            if (hasExplicitConstraints && hasDirectTask) {
-                return 'simple'; // Don't add stuff they explicitly don't want
-            }
+        if (!preferences) {
+            return res.status(404).json({
+                error: 'User not found'
+            });
+        }
 
-            // STANDARD: Clear, direct request (5-20 words with task + subject)
-            if (hasDirectTask && (hasSpecificSubject || hasLanguageOrTool) && wordCount >= 4 && wordCount <= 20) {
-                return 'simple';
-            }
+        res.json({
+            success: true,
+            preferences: preferences
+        });
 
-            // STANDARD: Already well-structured, just needs polishing
-            if (isLong || (hasMultipleSentences && hasStructure)) {
-                return 'detailed';
-            }
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while updating preferences'
+        });
+    }
+});
 
-            // STANDARD: Very short or ambiguous
-            if (isVeryShort || (lacksContext && isAmbiguous)) {
-                return 'vague';
-            }
+// =============================================================================
+// PROMPT TEMPLATE ENDPOINTS
+// =============================================================================
 
-            // Default to moderate enhancement
-            return 'moderate';
-        }
+// Reply for a template that fails validation
+function sendInvalidTemplate(res, errors) {
+    return res.status(400).json({
+        error: 'Template is not valid',
+        details: errors
+    });
+}
 
-        const promptComplexity = detectPromptComplexity(prompt);
+// Reply for a template name the user already uses
+function sendDuplicateTemplateName(res, name) {
+    return res.status(409).json({
+        error: `You already have a template named "${name.trim()}"`
+    });
+}
 
-        // =============================================================================
-        // BUILD META-PROMPT BASED ON COMPLEXITY
-        // =============================================================================
+// A template can only be shared with a workspace its owner belongs to.
+// Sends the error response and resolves to false otherwise.
+async function checkTemplateWorkspace(res, userId, fields) {
+    if (!fields.workspace_id || await getMembership(fields.workspace_id, userId)) {
+        return true;
+    }
+    res.status(403).json({
+        error: 'You can only share templates with workspaces you are a member of'
+    });
+    return false;
+}
 
-        let system_prompt_content = '';
-
-        if (promptComplexity === 'simple') {
-            // LIGHT TOUCH: Don't over-engineer simple, clear prompts
-            system_prompt_content = `You are a helpful writing assistant. Your job is to LIGHTLY refine the user's prompt.
-
-IMPORTANT RULES FOR SIMPLE PROMPTS:
-1. The user's intent is already clear - DO NOT over-expand it.
-2. Only fix grammar, spelling, or awkward phrasing.
-3. Add at most 1-2 small clarifications if genuinely helpful.
-4. Keep the enhanced prompt SHORT and CONCISE (similar length to original).
-5. DO NOT add test cases, specifications, or elaborate requirements unless explicitly asked.
-6. DO NOT turn a simple request into a complex specification.
-
-GOAL: Make the prompt slightly clearer, not longer.
-
-OUTPUT RULES:
-- Return ONLY the refined prompt text.
-- No labels, no explanations, no introductions.
-- Start directly with the enhanced prompt.`;
-
-        } else if (promptComplexity === 'detailed') {
-            // POLISH ONLY: User already provided detail, just clean it up
-            system_prompt_content = `You are a prompt polishing assistant. The user has provided a detailed prompt that is already well-structured.
-
-YOUR TASK:
-1. Improve clarity and flow without changing the core meaning.
-2. Fix any grammar or spelling issues.
-3. Slightly reorganize if it improves readability.
-4. DO NOT significantly expand or add new requirements.
-5. Preserve the user's original specifications and structure.
-
-GOAL: Polish, don't inflate.
-
-OUTPUT RULES:
-- Return ONLY the polished prompt text.
-- No labels, no explanations.
-- Maintain similar length to the original.`;
-
-        } else if (promptComplexity === 'vague') {
-            // FULL EXPANSION: Vague prompts need significant help
-            system_prompt_content = `You are an expert prompt engineer. The user has provided a vague or incomplete prompt that needs expansion.
-
-YOUR TASK:
-1. Infer the user's likely intent from context.
-2. Add necessary context, constraints, and specifications.
-3. Structure the prompt clearly with specific requirements.
-4. Make it actionable and complete.
-
-`;
-            // Add principles for vague prompts
-            if (guide_data.guide && guide_data.guide.principles) {
-                system_prompt_content += "KEY PRINCIPLES TO APPLY:\n";
-                const topPrinciples = guide_data.guide.principles.slice(0, 3);
-                topPrinciples.forEach((principle, index) => {
-                    system_prompt_content += `${index + 1}. ${principle.title}: ${principle.content}\n`;
-                });
-                system_prompt_content += "\n";
-            }
+// GET endpoint listing the user's own templates
+app.get('/api/templates', requireAuth, async (req, res) => {
+    try {
+        const templates = await listTemplates(req.user.id, { platform: req.query.platform || null });
 
-            system_prompt_content += `OUTPUT RULES:
-- Return ONLY the enhanced prompt text.
-- No labels like "Enhanced Prompt:" or explanations.
-- Start directly with the improved prompt.`;
+        res.json({
+            success: true,
+            templates: templates.map(template => presentTemplate(template, req.user.id))
+        });
 
-        } else {
-            // MODERATE: Balanced enhancement (default)
-            system_prompt_content = `You are a prompt refinement assistant. Improve the user's prompt with balanced enhancements.
-
-GUIDELINES:
-1. Clarify ambiguous parts without over-expanding clear parts.
-2. Add helpful context where missing.
-3. Improve structure if needed.
-4. Keep enhancements proportional to what's actually needed.
-
-`;
-            // Add just 2 key principles
-            if (guide_data.guide && guide_data.guide.principles) {
-                system_prompt_content += "KEY PRINCIPLES:\n";
-                const topPrinciples = guide_data.guide.principles.slice(0, 2);
-                topPrinciples.forEach((principle, index) => {
-                    system_prompt_content += `${index + 1}. ${principle.title}\n`;
-                });
-                system_prompt_content += "\n";
-            }
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while fetching templates'
+        });
+    }
+});
 
-            system_prompt_content += `OUTPUT RULES:
-- Return ONLY the refined prompt.
-- No labels, no meta-commentary.
-- Aim for clarity, not maximum length.`;
-        }
+// GET endpoint listing templates published by any user
+app.get('/api/templates/published', requireAuth, async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+        const templates = await listPublishedTemplates({ platform: req.query.platform || null, limit });
 
-        // Initialize the Gemini model with system instruction
-        const model = genAI.getGenerativeModel({
-            model: AI_MODEL,
-            systemInstruction: system_prompt_content
+        res.json({
+            success: true,
+            templates: templates.map(template => presentTemplate(template, req.user.id))
         });
 
-        // Make the API call to enhance the prompt
-        let enhancedPrompt = "";
-        try {
-            const result = await model.generateContent(prompt);
-            enhancedPrompt = result.response.text();
-        } catch (apiError) {
-            return res.status(500).json({
-                error: 'AI model request failed',
-                details: apiError.message
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while fetching published templates'
+        });
+    }
+});
+
+// GET endpoint for a single template - the user's own, a published one or one
+// shared with a workspace of the user
+app.get('/api/templates/:id', requireAuth, async (req, res) => {
+    try {
+        const template = UUID_PATTERN.test(req.params.id) ? await getTemplate(req.params.id) : null;
+
+        if (!canUseTemplate(template, req.user.id, template ? await listWorkspaceIds(req.user.id) : [])) {
+            return res.status(404).json({
+                error: 'Template not found'
             });
         }
 
-        // Clean up any unwanted prefixes that the AI might add
-        enhancedPrompt = enhancedPrompt.replace(/^(Refined Prompt:|Enhanced Prompt:|Improved Prompt:|Here's your enhanced prompt:|Here is your enhanced prompt:)\s*/i, '').trim();
-
-        // =============================================================================
-        // CREDIT DEDUCTION LOGIC
+        res.json({
+            success: true,
+            template: presentTemplate(template, req.user.id)
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while fetching template'
+        });
+    }
+});
+
+// POST endpoint to create a template
+app.post('/api/templates', requireAuth, async (req, res) => {
+    try {
+        const errors = validateTemplate(req.body || {});
+        if (errors.length > 0) {
+            return sendInvalidTemplate(res, errors);
+        }
+
+        if (!await checkTemplateWorkspace(res, req.user.id, req.body)) {
+            return;
+        }
+
+        if (await findTemplateByName(req.user.id, req.body.name)) {
+            return sendDuplicateTemplateName(res, req.body.name);
+        }
+
+        const template = await createTemplate(req.user.id, req.body);
+
+        res.status(201).json({
+            success: true,
+            template: presentTemplate(template, req.user.id)
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while creating template'
+        });
+    }
+});
+
+// PATCH endpoint to change a template - also used to publish or unpublish it
+app.patch('/api/templates/:id', requireAuth, async (req, res) => {
+    try {
+        const fields = req.body || {};
+
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({
+                error: 'At least one template field is required in the request body'
+            });
+        }
+
+        const errors = validateTemplate(fields, { partial: true });
+        if (errors.length > 0) {
+            return sendInvalidTemplate(res, errors);
+        }
+
+        if (!UUID_PATTERN.test(req.params.id)) {
+            return res.status(404).json({
+                error: 'Template not found'
+            });
+        }
+
+        if (!await checkTemplateWorkspace(res, req.user.id, fields)) {
+            return;
+        }
+
+        if (fields.name !== undefined) {
+            const sameName = await findTemplateByName(req.user.id, fields.name);
+            if (sameName && sameName.id !== req.params.id) {
+                return sendDuplicateTemplateName(res, fields.name);
+            }
+        }
+
+        const template = await updateTemplate(req.user.id, req.params.id, fields);
+
+        if (!template) {
+            return res.status(404).json({
+                error: 'Template not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            template: presentTemplate(template, req.user.id)
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while updating template'
+        });
+    }
+});
+
+// DELETE endpoint to remove one of the user's templates
+app.delete('/api/templates/:id', requireAuth, async (req, res) => {
+    try {
+        const deleted = UUID_PATTERN.test(req.params.id)
+            ? await deleteTemplate(req.user.id, req.params.id)
+            : false;
+
+        if (!deleted) {
+            return res.status(404).json({
+                error: 'Template not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Template deleted'
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while deleting template'
+        });
+    }
+});
+
+// POST endpoint to copy a published or workspace template into the user's own
+// templates, where it can be changed. An optional name avoids a clash with an
+// existing one. The copy is private.
+app.post('/api/templates/:id/copy', requireAuth, async (req, res) => {
+    try {
+        const source = UUID_PATTERN.test(req.params.id) ? await getTemplate(req.params.id) : null;
+
+        if (!canUseTemplate(source, req.user.id, source ? await listWorkspaceIds(req.user.id) : [])) {
+            return res.status(404).json({
+                error: 'Template not found'
+            });
+        }
+
+        const fields = {
+            name: req.body && req.body.name !== undefined ? req.body.name : source.name,
+            description: source.description,
+            body: source.body,
+            platform: source.platform,
+            instructions: source.instructions,
+            is_published: false
+        };
+
+        const errors = validateTemplate(fields);
+        if (errors.length > 0) {
+            return sendInvalidTemplate(res, errors);
+        }
+
+        if (await findTemplateByName(req.user.id, fields.name)) {
+            return sendDuplicateTemplateName(res, fields.name);
+        }
+
+        const template = await createTemplate(req.user.id, fields);
+
+        res.status(201).json({
+            success: true,
+            template: presentTemplate(template, req.user.id)
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while copying template'
+        });
+    }
+});
+
+// =============================================================================
+// WORKSPACE ENDPOINTS
+// =============================================================================
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Load a workspace for a member with at least the given role. Non-members get
+// a 404 so workspace ids are not revealed. Sends the error response itself and
+// resolves to null when the request cannot continue.
+async function loadWorkspaceForRole(req, res, minimumRole) {
+    const [workspace, membership] = UUID_PATTERN.test(req.params.id)
+        ? await Promise.all([getWorkspace(req.params.id), getMembership(req.params.id, req.user.id)])
+        : [null, null];
+
+    if (!workspace || !membership) {
+        res.status(404).json({
+            error: 'Workspace not found'
+        });
+        return null;
+    }
+
+    if (!hasRole(membership.role, minimumRole)) {
+        res.status(403).json({
+            error: `This action requires the ${minimumRole} role in the workspace`
+        });
+        return null;
+    }
+
+    return { workspace, membership };
+}
+
+// Reply for workspace settings that fail validation
+function sendInvalidWorkspace(res, errors) {
+    return res.status(400).json({
+        error: 'Workspace settings are not valid',
+        details: errors
+    });
+}
+
+// POST endpoint to create a workspace - the caller becomes its owner. It has
+// no credits until an admin assigns a plan (PUT /api/admin/workspaces/:id/plan).
+app.post('/api/workspaces', requireAuth, async (req, res) => {
+    try {
+        const errors = validateWorkspaceSettings(req.body);
+        if (errors.length > 0) {
+            return sendInvalidWorkspace(res, errors);
+        }
+
+        if (await countOwnedWorkspaces(req.user.id) >= MAX_OWNED_WORKSPACES) {
+            return res.status(403).json({
+                error: `You can own at most ${MAX_OWNED_WORKSPACES} workspaces`
+            });
+        }
+
+        const workspace = await createWorkspace(req.user.id, req.body, getPlan(DEFAULT_WORKSPACE_PLAN));
+
+        res.status(201).json({
+            success: true,
+            workspace: { ...workspace, role: 'owner' }
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while creating workspace'
+        });
+    }
+});
+
+// GET endpoint listing the workspaces the user belongs to
+app.get('/api/workspaces', requireAuth, async (req, res) => {
+    try {
+        const [workspaces, { data: userData, error: userError }] = await Promise.all([
+            listUserWorkspaces(req.user.id),
+            supabase.from('users').select('active_workspace_id').eq('id', req.user.id).maybeSingle()
+        ]);
+
+        if (userError) {
+            throw new Error(userError.message);
+        }
+
+        const activeId = userData ? userData.active_workspace_id : null;
+
+        res.json({
+            success: true,
+            active_workspace_id: activeId,
+            workspaces: workspaces.map(workspace => ({ ...workspace, is_active: workspace.id === activeId }))
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while fetching workspaces'
+        });
+    }
+});
+
+// GET endpoint for a workspace with its members
+app.get('/api/workspaces/:id', requireAuth, async (req, res) => {
+    try {
+        const access = await loadWorkspaceForRole(req, res, 'member');
+        if (!access) {
+            return;
+        }
+
+        res.json({
+            success: true,
+            workspace: { ...access.workspace, role: access.membership.role },
+            members: await listMembers(access.workspace.id)
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while fetching workspace'
+        });
+    }
+});
+
+// PATCH endpoint to change a workspace's name, credit mode, allowance or timezone
+app.patch('/api/workspaces/:id', requireAuth, async (req, res) => {
+    try {
+        const fields = req.body || {};
+
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({
+                error: 'At least one workspace setting is required in the request body'
+            });
+        }
+
+        const errors = validateWorkspaceSettings(fields, { partial: true });
+        if (errors.length > 0) {
+            return sendInvalidWorkspace(res, errors);
+        }
+
+        const access = await loadWorkspaceForRole(req, res, 'admin');
+        if (!access) {
+            return;
+        }
+
+        const workspace = await updateWorkspace(access.workspace.id, toSettingColumns(fields));
+
+        res.json({
+            success: true,
+            workspace: { ...workspace, role: access.membership.role }
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while updating workspace'
+        });
+    }
+});
+
+// DELETE endpoint to remove a workspace. Its members go back to personal
+// billing and its templates stay with their owners, unshared.
+app.delete('/api/workspaces/:id', requireAuth, async (req, res) => {
+    try {
+        const access = await loadWorkspaceForRole(req, res, 'owner');
+        if (!access) {
+            return;
+        }
+
+        await deleteWorkspace(access.workspace.id);
+
+        res.json({
+            success: true,
+            message: 'Workspace deleted'
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while deleting workspace'
+        });
+    }
+});
+
+// PUT endpoint to replace the style preferences shared by the workspace.
+// A member's own preferences win over the shared ones; rules of both apply.
+app.put('/api/workspaces/:id/preferences', requireAuth, async (req, res) => {
+    try {
+        const errors = validatePreferences(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Preferences are not valid',
+                details: errors
+            });
+        }
+
+        const access = await loadWorkspaceForRole(req, res, 'admin');
+        if (!access) {
+            return;
+        }
+
+        const workspace = await updateWorkspace(access.workspace.id, { preferences: normalizePreferences(req.body) });
+
+        res.json({
+            success: true,
+            preferences: workspace.preferences
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while updating workspace preferences'
+        });
+    }
+});
+
+// GET endpoint listing the templates shared with a workspace
+app.get('/api/workspaces/:id/templates', requireAuth, async (req, res) => {
+    try {
+        const access = await loadWorkspaceForRole(req, res, 'member');
+        if (!access) {
+            return;
+        }
+
+        const templates = await listWorkspaceTemplates(access.workspace.id);
+
+        res.json({
+            success: true,
+            templates: templates.map(template => presentTemplate(template, req.user.id))
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while fetching workspace templates'
+        });
+    }
+});
+
+// GET endpoint with the credits each member spent, for the owner.
+// Optional ?since= limits it to spending after an ISO date.
+app.get('/api/workspaces/:id/usage', requireAuth, async (req, res) => {
+    try {
+        const since = req.query.since ? new Date(req.query.since) : null;
+
+        if (since && isNaN(since.getTime())) {
+            return res.status(400).json({
+                error: 'since must be an ISO date such as "2025-01-31"'
+            });
+        }
+
+        const access = await loadWorkspaceForRole(req, res, 'owner');
+        if (!access) {
+            return;
+        }
+
+        const { workspace } = access;
+        const plan = getPlan(workspace.plan);
+        const usage = await getWorkspaceUsage(workspace.id, { since: since ? since.toISOString() : null });
+
+        res.json({
+            success: true,
+            plan: plan.name,
+            credit_mode: workspace.credit_mode,
+            credits_remaining: plan.unlimited ? 'unlimited' : workspace.credits_remaining,
+            next_reset: getNextReset(plan, workspace.last_credit_reset, workspace.timezone || DEFAULT_TIME_ZONE).toISOString(),
+            since: since ? since.toISOString() : null,
+            members: usage
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while fetching workspace usage'
+        });
+    }
+});
+
+// POST endpoint to invite an email address. Admins invite members; only the
+// owner can invite admins.
+app.post('/api/workspaces/:id/invites', requireAuth, async (req, res) => {
+    try {
+        const { email, role = 'member' } = req.body || {};
+
+        if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+            return res.status(400).json({
+                error: 'A valid email is required in the request body'
+            });
+        }
+
+        if (!INVITE_ROLES.includes(role)) {
+            return res.status(400).json({
+                error: `role must be one of: ${INVITE_ROLES.join(', ')}`
+            });
+        }
+
+        const access = await loadWorkspaceForRole(req, res, role === 'admin' ? 'owner' : 'admin');
+        if (!access) {
+            return;
+        }
+
+        const workspaceId = access.workspace.id;
+        const normalizedEmail = email.trim().toLowerCase();
+
+        const members = await listMembers(workspaceId);
+        if (members.some(member => member.email && member.email.toLowerCase() === normalizedEmail)) {
+            return res.status(409).json({
+                error: `${normalizedEmail} is already a member of this workspace`
+            });
+        }
+
+        const pending = await listInvites({ workspaceId, email: normalizedEmail });
+        if (pending.length > 0) {
+            return res.status(409).json({
+                error: `${normalizedEmail} has already been invited to this workspace`
+            });
+        }
+
+        const invite = await createInvite(workspaceId, normalizedEmail, role, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            invite: invite
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while creating invite'
+        });
+    }
+});
+
+// GET endpoint listing a workspace's pending invites
+app.get('/api/workspaces/:id/invites', requireAuth, async (req, res) => {
+    try {
+        const access = await loadWorkspaceForRole(req, res, 'admin');
+        if (!access) {
+            return;
+        }
+
+        res.json({
+            success: true,
+            invites: await listInvites({ workspaceId: access.workspace.id })
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while fetching invites'
+        });
+    }
+});
+
+// DELETE endpoint to withdraw a pending invite
+app.delete('/api/workspaces/:id/invites/:inviteId', requireAuth, async (req, res) => {
+    try {
+        const access = await loadWorkspaceForRole(req, res, 'admin');
+        if (!access) {
+            return;
+        }
+
+        const invite = UUID_PATTERN.test(req.params.inviteId) ? await getInvite(req.params.inviteId) : null;
+
+        if (!invite || invite.workspace_id !== access.workspace.id) {
+            return res.status(404).json({
+                error: 'Invite not found'
+            });
+        }
+
+        await deleteInvite(invite.id);
+
+        res.json({
+            success: true,
+            message: 'Invite withdrawn'
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while deleting invite'
+        });
+    }
+});
+
+// PATCH endpoint for the owner to make a member an admin or back
+app.patch('/api/workspaces/:id/members/:userId', requireAuth, async (req, res) => {
+    try {
+        const { role } = req.body || {};
+
+        if (!INVITE_ROLES.includes(role)) {
+            return res.status(400).json({
+                error: `role must be one of: ${INVITE_ROLES.join(', ')}`
+            });
+        }
+
+        const access = await loadWorkspaceForRole(req, res, 'owner');
+        if (!access) {
+            return;
+        }
+
+        const target = UUID_PATTERN.test(req.params.userId)
+            ? await getMembership(access.workspace.id, req.params.userId)
+            : null;
+
+        if (!target) {
+            return res.status(404).json({
+                error: 'Member not found'
+            });
+        }
+
+        if (target.role === 'owner') {
+            return res.status(400).json({
+                error: 'The owner\'s role cannot be changed'
+            });
+        }
+
+        const membership = await updateMemberRole(access.workspace.id, target.user_id, role);
+
+        res.json({
+            success: true,
+            member: membership
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while updating member'
+        });
+    }
+});
+
+// DELETE endpoint to remove a member. Members can leave on their own; admins
+// can remove members, and the owner anyone but themselves.
+app.delete('/api/workspaces/:id/members/:userId', requireAuth, async (req, res) => {
+    try {
+        const access = await loadWorkspaceForRole(req, res, 'member');
+        if (!access) {
+            return;
+        }
+
+        const { workspace, membership } = access;
+        const target = UUID_PATTERN.test(req.params.userId)
+            ? await getMembership(workspace.id, req.params.userId)
+            : null;
+
+        if (!target) {
+            return res.status(404).json({
+                error: 'Member not found'
+            });
+        }
+
+        if (target.role === 'owner') {
+            return res.status(400).json({
+                error: 'The owner cannot leave the workspace. Delete the workspace instead.'
+            });
+        }
+
+        const leaving = target.user_id === req.user.id;
+        const canRemove = hasRole(membership.role, 'owner') || (hasRole(membership.role, 'admin') && target.role === 'member');
+
+        if (!leaving && !canRemove) {
+            return res.status(403).json({
+                error: 'You are not allowed to remove this member'
+            });
+        }
+
+        await removeMember(workspace.id, target.user_id);
+
+        res.json({
+            success: true,
+            message: leaving ? 'You left the workspace' : 'Member removed'
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while removing member'
+        });
+    }
+});
+
+// GET endpoint listing the invites sent to the user's email address
+app.get('/api/user/workspace-invites', requireAuth, async (req, res) => {
+    try {
+        const invites = req.user.email ? await listInvites({ email: req.user.email }) : [];
+
+        const workspaces = await Promise.all(invites.map(invite => getWorkspace(invite.workspace_id)));
+
+        res.json({
+            success: true,
+            invites: invites.map((invite, index) => ({
+                ...invite,
+                workspace_name: workspaces[index] ? workspaces[index].name : null
+            }))
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while fetching invites'
+        });
+    }
+});
+
+// Fetch an invite addressed to the caller (null otherwise)
+async function getOwnInvite(req) {
+    const invite = UUID_PATTERN.test(req.params.id) ? await getInvite(req.params.id) : null;
+    const email = (req.user.email || '').trim().toLowerCase();
+    return invite && invite.email === email ? invite : null;
+}
+
+// POST endpoint to accept an invite and join the workspace
+app.post('/api/user/workspace-invites/:id/accept', requireAuth, async (req, res) => {
+    try {
+        const invite = await getOwnInvite(req);
+
+        if (!invite) {
+            return res.status(404).json({
+                error: 'Invite not found'
+            });
+        }
+
+        if (!await getMembership(invite.workspace_id, req.user.id)) {
+            await addMember(invite.workspace_id, req.user.id, invite.role);
+        }
+        await deleteInvite(invite.id);
+
+        const workspace = await getWorkspace(invite.workspace_id);
+        const membership = await getMembership(invite.workspace_id, req.user.id);
+
+        res.json({
+            success: true,
+            workspace: { ...workspace, role: membership.role }
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while accepting invite'
+        });
+    }
+});
+
+// DELETE endpoint to decline an invite
+app.delete('/api/user/workspace-invites/:id', requireAuth, async (req, res) => {
+    try {
+        const invite = await getOwnInvite(req);
+
+        if (!invite) {
+            return res.status(404).json({
+                error: 'Invite not found'
+            });
+        }
+
+        await deleteInvite(invite.id);
+
+        res.json({
+            success: true,
+            message: 'Invite declined'
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while declining invite'
+        });
+    }
+});
+
+// PUT endpoint to choose where enhancements are billed: a workspace the user
+// belongs to, or null for the user's own credits
+app.put('/api/user/active-workspace', requireAuth, async (req, res) => {
+    try {
+        const { workspace_id: workspaceId } = req.body || {};
+
+        if (workspaceId !== null && !(typeof workspaceId === 'string' && UUID_PATTERN.test(workspaceId))) {
+            return res.status(400).json({
+                error: 'workspace_id must be a workspace id or null'
+            });
+        }
+
+        if (workspaceId && !await getMembership(workspaceId, req.user.id)) {
+            return res.status(404).json({
+                error: 'Workspace not found'
+            });
+        }
+
+        await setActiveWorkspace(req.user.id, workspaceId);
+
+        res.json({
+            success: true,
+            active_workspace_id: workspaceId
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while updating active workspace'
+        });
+    }
+});
+
+// PUT endpoint for admins to move a workspace to another plan. The pool is
+// refilled with the new plan's allowance right away.
+app.put('/api/admin/workspaces/:id/plan', requireAdmin, async (req, res) => {
+    try {
+        const { plan: planName } = req.body || {};
+        const planNames = listPlans().map(plan => plan.name);
+
+        if (!planNames.includes(planName)) {
+            return res.status(400).json({
+                error: `plan must be one of: ${planNames.join(', ')}`
+            });
+        }
+
+        const workspace = UUID_PATTERN.test(req.params.id) ? await getWorkspace(req.params.id) : null;
+
+        if (!workspace) {
+            return res.status(404).json({
+                error: 'Workspace not found'
+            });
+        }
+
+        const plan = getPlan(planName);
+        await updateWorkspace(workspace.id, { plan: plan.name });
+        await resetWorkspaceCredits(workspace.id, null, plan.allowance || 0, workspace.last_credit_reset, `plan changed to ${plan.name}`);
+
+        res.json({
+            success: true,
+            workspace: await getWorkspace(workspace.id)
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while updating workspace plan'
+        });
+    }
+});
+
+// =============================================================================
+// FEEDBACK ENDPOINTS
+// =============================================================================
+
+const FEEDBACK_RATINGS = ['up', 'down'];
+const COMPLEXITY_BUCKETS = ['simple', 'moderate', 'vague', 'detailed'];
+const MAX_FEEDBACK_TEXT_LENGTH = 20000;
+const MAX_FEEDBACK_REASON_LENGTH = 1000;
+
+// POST endpoint for thumbs up/down feedback on an enhancement.
+// Pass history_id, or enhanced_prompt + platform + complexity when history is off.
+// Experiment results only count feedback on stored enhancements, so the
+// experiment and variant always come from the history entry. Feedback on the
+// same history entry again replaces the earlier rating.
+app.post('/api/feedback', requireAuth, async (req, res) => {
+    try {
+        const { history_id, rating, reason, final_text } = req.body;
+        let { enhanced_prompt, platform, complexity } = req.body;
+        let experimentName = null;
+        let variantId = null;
+
+        if (!history_id && (req.body.experiment_name !== undefined || req.body.variant_id !== undefined)) {
+            return res.status(400).json({
+                error: 'Feedback on an experiment variant requires the history_id of the enhancement'
+            });
+        }
+
+        // Validate the rating
+        if (!FEEDBACK_RATINGS.includes(rating)) {
+            return res.status(400).json({
+                error: 'Rating must be "up" or "down"'
+            });
+        }
+
+        // Free text is optional but bounded; both texts are diffed word by word
+        const oversized = [
+            ['reason', reason, MAX_FEEDBACK_REASON_LENGTH],
+            ['final_text', final_text, MAX_FEEDBACK_TEXT_LENGTH],
+            ['enhanced_prompt', enhanced_prompt, MAX_FEEDBACK_TEXT_LENGTH]
+        ].find(([, value, limit]) => value !== undefined && value !== null
+            && (typeof value !== 'string' || value.length > limit));
+        if (oversized) {
+            return res.status(400).json({
+                error: `${oversized[0]} must be a string of at most ${oversized[2]} characters`
+            });
+        }
+
+        // Pull the enhancement details from history when available
+        if (history_id) {
+            const entry = UUID_PATTERN.test(history_id)
+                ? await getHistoryEntry(req.user.id, history_id)
+                : null;
+
+            if (!entry) {
+                return res.status(404).json({
+                    error: 'History entry not found'
+                });
+            }
+
+            enhanced_prompt = entry.enhanced_prompt;
+            platform = entry.platform;
+            complexity = entry.complexity;
+            experimentName = entry.experiment_name;
+            variantId = entry.variant_id;
+        }
+
+        // Validate that the enhancement can be identified
+        if (!enhanced_prompt || !platform) {
+            return res.status(400).json({
+                error: 'Either history_id or enhanced_prompt and platform are required in the request body'
+            });
+        }
+
+        if (!COMPLEXITY_BUCKETS.includes(complexity)) {
+            return res.status(400).json({
+                error: `Complexity must be one of: ${COMPLEXITY_BUCKETS.join(', ')}`
+            });
+        }
+
+        const feedback = await recordFeedback({
+            userId: req.user.id,
+            historyId: history_id,
+            platform: resolvePlatformName(platform),
+            complexity: complexity,
+            rating: rating,
+            reason: reason,
+            enhancedPrompt: enhanced_prompt,
+            finalText: final_text,
+            experimentName: experimentName,
+            variantId: variantId
+        });
+
+        res.status(201).json({
+            success: true,
+            feedback: feedback
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while recording feedback'
+        });
+    }
+});
+
+// GET endpoint (admin) for acceptance rate and edit distance per strategy and guide
+app.get('/api/admin/feedback/stats', requireAdmin, async (req, res) => {
+    try {
+        const since = req.query.since || null;
+
+        // Validate the reporting window
+        if (since && isNaN(new Date(since).getTime())) {
+            return res.status(400).json({
+                error: 'The since parameter must be an ISO timestamp'
+            });
+        }
+
+        const report = await getFeedbackStats({ since });
+
+        res.json({
+            success: true,
+            since: since,
+            ...report
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while building feedback stats'
+        });
+    }
+});
+
+// =============================================================================
+// META-PROMPT EXPERIMENTS (ADMIN)
+// =============================================================================
+
+// GET endpoint (admin) listing experiments and the built-in meta-prompt variants
+app.get('/api/admin/experiments', requireAdmin, async (req, res) => {
+    try {
+        const experiments = await listExperiments();
+
+        res.json({
+            success: true,
+            experiments: experiments,
+            variants: listVariants().map(variant => ({
+                id: variant.id,
+                description: variant.description
+            }))
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while fetching experiments'
+        });
+    }
+});
+
+// POST endpoint (admin) to create an experiment in draft status
+app.post('/api/admin/experiments', requireAdmin, async (req, res) => {
+    try {
+        const { name, description, complexities, variants } = req.body;
+
+        // Validate the experiment definition
+        const validationError = validateExperiment({ name, complexities, variants });
+        if (validationError) {
+            return res.status(400).json({
+                error: validationError
+            });
+        }
+
+        const experiment = await createExperiment({ name, description, complexities, variants });
+
+        res.status(201).json({
+            success: true,
+            experiment: experiment
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while creating experiment'
+        });
+    }
+});
+
+// POST endpoints (admin) to start and stop an experiment
+['start', 'stop'].forEach(action => {
+    app.post(`/api/admin/experiments/:name/${action}`, requireAdmin, async (req, res) => {
+        try {
+            const status = action === 'start' ? 'running' : 'stopped';
+            const experiment = await setExperimentStatus(req.params.name, status);
+
+            if (!experiment) {
+                return res.status(404).json({
+                    error: 'Experiment not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                experiment: experiment
+            });
+
+        } catch (error) {
+            res.status(500).json({
+                error: `Internal server error while trying to ${action} experiment`
+            });
+        }
+    });
+});
+
+// GET endpoint (admin) comparing feedback across the variants of an experiment
+app.get('/api/admin/experiments/:name/results', requireAdmin, async (req, res) => {
+    try {
+        const results = await getExperimentResults(req.params.name);
+
+        res.json({
+            success: true,
+            experiment: req.params.name,
+            variants: results
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while fetching experiment results'
+        });
+    }
+});
+
+// =============================================================================
+// PLATFORM GUIDE LOOKUP
+// =============================================================================
+
+// Query the active version in the prompt_guides table for a frontend platform name
+async function fetchPromptGuide(platform) {
+    return supabase
+        .from('prompt_guides')
+        .select('guide_data')
+        .eq('platform', resolvePlatformName(platform))
+        .eq('is_active', true)
+        .maybeSingle();
+}
+
+// 404 for a platform without an active guide, pointing unknown names at /api/platforms
+function sendGuideNotFound(res, platform) {
+    if (!getPlatform(platform)) {
+        return res.status(404).json({
+            error: `Unsupported platform "${platform}". GET /api/platforms lists the supported platforms.`
+        });
+    }
+    return res.status(404).json({
+        error: 'Guide not found for the specified platform'
+    });
+}
+
+// GET endpoint listing the supported platforms so the extension can discover them
+app.get('/api/platforms', (req, res) => {
+    res.json({
+        success: true,
+        platforms: listPlatforms().map(platform => ({
+            id: platform.id,
+            display_name: platform.display_name,
+            aliases: platform.aliases,
+            sites: platform.sites,
+            formatting: platform.formatting
+        }))
+    });
+});
+
+// =============================================================================
+// PROMPT GUIDE ADMINISTRATION
+// =============================================================================
+
+// Check a guide payload against the guide schema; returns an error response body or null
+function validateGuidePayload({ platform, version, guide }) {
+    const { errors } = validateGuide({ platform, version, guide });
+
+    if (errors.length === 0) {
+        return null;
+    }
+
+    return {
+        error: 'Guide does not match the guide schema',
+        details: errors
+    };
+}
+
+// GET endpoint (admin) listing stored guide versions, optionally for one platform
+app.get('/api/admin/guides', requireAdmin, async (req, res) => {
+    try {
+        const platform = req.query.platform ? resolvePlatformName(req.query.platform) : null;
+        const guides = await listGuides({ platform });
+
+        res.json({
+            success: true,
+            guides: guides
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while fetching guides'
+        });
+    }
+});
+
+// GET endpoint (admin) for a single guide version including its content
+app.get('/api/admin/guides/:id', requireAdmin, async (req, res) => {
+    try {
+        const guide = UUID_PATTERN.test(req.params.id) ? await getGuide(req.params.id) : null;
+
+        if (!guide) {
+            return res.status(404).json({
+                error: 'Guide not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            guide: guide
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while fetching guide'
+        });
+    }
+});
+
+// POST endpoint (admin) to store a new guide version
+app.post('/api/admin/guides', requireAdmin, async (req, res) => {
+    try {
+        const { version, guide, activate } = req.body;
+
+        // Validate the guide payload
+        if (!req.body.platform || version === undefined || guide === undefined) {
+            return res.status(400).json({
+                error: 'Platform, version and guide are required in the request body'
+            });
+        }
+
+        const platform = resolvePlatformName(req.body.platform);
+
+        const validationError = validateGuidePayload({ platform, version, guide });
+        if (validationError) {
+            return res.status(400).json(validationError);
+        }
+
+        // Versions are immutable labels - update the existing one instead
+        if (await findGuideVersion(platform, version)) {
+            return res.status(409).json({
+                error: `Version ${version} of the ${platform} guide already exists`
+            });
+        }
+
+        const created = await createGuide({
+            platform: platform,
+            version: version,
+            guideData: guide,
+            activate: activate === true
+        });
+
+        res.status(201).json({
+            success: true,
+            guide: created
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while creating guide'
+        });
+    }
+});
+
+// PUT endpoint (admin) to replace the content or version label of a guide
+app.put('/api/admin/guides/:id', requireAdmin, async (req, res) => {
+    try {
+        const { version, guide } = req.body;
+
+        if (version === undefined && guide === undefined) {
+            return res.status(400).json({
+                error: 'Version or guide is required in the request body'
+            });
+        }
+
+        const existing = UUID_PATTERN.test(req.params.id) ? await getGuide(req.params.id) : null;
+
+        if (!existing) {
+            return res.status(404).json({
+                error: 'Guide not found'
+            });
+        }
+
+        // Validate the guide as it will be stored
+        const validationError = validateGuidePayload({
+            platform: existing.platform,
+            version: version !== undefined ? version : existing.version,
+            guide: guide !== undefined ? guide : existing.guide_data
+        });
+        if (validationError) {
+            return res.status(400).json(validationError);
+        }
+
+        if (version !== undefined && version !== existing.version) {
+            if (await findGuideVersion(existing.platform, version)) {
+                return res.status(409).json({
+                    error: `Version ${version} of the ${existing.platform} guide already exists`
+                });
+            }
+        }
+
+        const updated = await updateGuide(existing.id, { version, guideData: guide });
+
+        res.json({
+            success: true,
+            guide: updated
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while updating guide'
+        });
+    }
+});
+
+// POST endpoint (admin) to make a version the active guide - also used to roll back
+app.post('/api/admin/guides/:id/activate', requireAdmin, async (req, res) => {
+    try {
+        const guide = UUID_PATTERN.test(req.params.id) ? await activateGuide(req.params.id) : null;
+
+        if (!guide) {
+            return res.status(404).json({
+                error: 'Guide not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            guide: guide
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while activating guide'
+        });
+    }
+});
+
+// DELETE endpoint (admin) for a guide version. The active version can only be
+// deleted when it is the last version of its platform.
+app.delete('/api/admin/guides/:id', requireAdmin, async (req, res) => {
+    try {
+        const guide = UUID_PATTERN.test(req.params.id) ? await getGuide(req.params.id) : null;
+
+        if (!guide) {
+            return res.status(404).json({
+                error: 'Guide not found'
+            });
+        }
+
+        if (guide.is_active) {
+            const versions = await listGuides({ platform: guide.platform });
+            if (versions.length > 1) {
+                return res.status(409).json({
+                    error: 'This is the active version - activate another version before deleting it'
+                });
+            }
+        }
+
+        await deleteGuide(guide.id);
+
+        res.json({
+            success: true,
+            message: `Deleted version ${guide.version} of the ${guide.platform} guide`
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error while deleting guide'
+        });
+    }
+});
+
+// =============================================================================
+// PROMPT ANALYSIS ENDPOINT
+// =============================================================================
+
+// POST endpoint for local prompt linting - no LLM call and no credit cost
+app.post('/api/analyze', async (req, res) => {
+    try {
+        // Extract platform and prompt from request body
+        const { platform, prompt } = req.body;
+
+        // Validate that platform is provided
+        if (!platform) {
+            return res.status(400).json({
+                error: 'Platform is required in the request body'
+            });
+        }
+
+        // Validate that prompt is provided
+        if (!prompt || typeof prompt !== 'string') {
+            return res.status(400).json({
+                error: 'Prompt is required in the request body'
+            });
+        }
+
+        // Query the prompt_guides table for the specified platform
+        const { data, error } = await fetchPromptGuide(platform);
+
+        if (error) {
+            return res.status(500).json({
+                error: 'Database query failed'
+            });
+        }
+
+        // Check if a guide was found
+        if (!data) {
+            return sendGuideNotFound(res, platform);
+        }
+
+        const language = detectLanguage(prompt);
+        const { complexity, rule, signals } = analyzePromptComplexity(prompt, DEFAULT_THRESHOLDS, language.code);
+
+        // Report every anti-pattern whose detection patterns appear in the prompt
+        const antiPatterns = matchAntiPatterns(glossPrompt(prompt, language.code), data.guide_data).map(entry => ({
+            title: entry.title,
+            content: entry.content,
+            matched_patterns: entry.matched_patterns
+        }));
+
+        res.json({
+            complexity: complexity,
+            rule: rule,
+            task_type: detectTaskType(prompt, language.code),
+            language: language.code,
+            signals: signals,
+            anti_patterns: antiPatterns
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error during prompt analysis'
+        });
+    }
+});
+
+// POST endpoint for the complexity classifier on its own - no guide lookup,
+// no LLM call. Optional threshold overrides make it easy to try a tuning.
+app.post('/api/classify', (req, res) => {
+    try {
+        const { prompt, thresholds, conversation: conversationInput } = req.body;
+
+        // Validate that prompt is provided
+        if (!prompt || typeof prompt !== 'string') {
+            return res.status(400).json({
+                error: 'Prompt is required in the request body'
+            });
+        }
+
+        const conversation = resolveConversation(conversationInput);
+        if (!conversation) {
+            return res.status(400).json({
+                error: 'conversation must be a list of { role, content } turns with role "user" or "assistant"'
+            });
+        }
+
+        const limits = resolveThresholds(thresholds || {});
+        if (!limits) {
+            return res.status(400).json({
+                error: 'thresholds must map known threshold names to non-negative numbers'
+            });
+        }
+
+        const language = detectLanguage(prompt);
+        const { complexity, rule, signals } = analyzePromptComplexity(prompt, limits, language.code, conversation);
+
+        res.json({
+            complexity: complexity,
+            rule: rule,
+            task_type: detectTaskType(prompt, language.code, conversation),
+            language: language.code,
+            signals: signals,
+            thresholds: limits
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            error: 'Internal server error during prompt classification'
+        });
+    }
+});
+
+// =============================================================================
+// PROMPT ENHANCEMENT ENDPOINT
+// =============================================================================
+
+// Write a single Server-Sent Event
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// =============================================================================
+// LANGUAGE CHECK - The answer stays in the language of the prompt
+// =============================================================================
+
+// Regenerate once, with a reminder, when the model answered in another
+// language than the prompt was written in. The retry is kept either way:
+// detection can be wrong, and a usable answer beats a failed request.
+async function ensurePromptLanguage(text, language, generationOptions) {
+    if (!language.reliable || matchesLanguage(text, language.code)) {
+        return text;
+    }
+
+    const retry = await generateText({
+        ...generationOptions,
+        json: false,
+        systemPrompt: `${generationOptions.systemPrompt}\n\n${formatLanguageReminder(language)}`
+    });
+    return retry.text;
+}
+
+// Columns needed to run an enhancement for a user (credits, plan and settings)
+const USER_ENHANCE_COLUMNS = 'id, email, plan, plan_upgrade, plan_upgrade_expires_at, timezone, credits_remaining, has_unlimited_access, last_credit_reset, history_enabled, preferences, active_workspace_id';
+
+// =============================================================================
+// BILLING - Shared by every endpoint that spends credits
+// =============================================================================
+
+// Load the caller's user row (creating it on first use) and apply a due credit
+// reset. Sends the error response itself and resolves to null when the request
+// cannot continue.
+async function loadBillingAccount(req, res) {
+    const userId = req.user.id;
+
+    // Fetch user data from the database
+    let { data: userData, error: userFetchError } = await supabase
+        .from('users')
+        .select(USER_ENHANCE_COLUMNS)
+        .eq('id', userId)
+        .maybeSingle();
+
+    if (userFetchError) {
+        res.status(500).json({
+            error: 'Failed to fetch user data'
+        });
+        return null;
+    }
+
+    // If user doesn't exist in public.users, try to create them
+    // This will only succeed if the user exists in auth.users (foreign key constraint)
+    if (!userData) {
+
+        // The auth middleware already resolved the user's email and name
+        const userEmail = req.user.email || 'user@example.com';
+        const userName = req.user.name || 'User';
+
+        // Try to create the user record
+        // If the user exists in auth.users, this will succeed
+        // If not, we'll get a foreign key constraint error
+        const newUser = buildNewUserRecord({ id: userId, email: userEmail, name: userName });
+        const { data: newUserData, error: createError } = await supabase
+            .from('users')
+            .insert([newUser])
+            .select(USER_ENHANCE_COLUMNS)
+            .single();
+
+        if (createError) {
+            // Foreign key constraint violation means user doesn't exist in auth.users
+            if (createError.code === '23503' || createError.message?.includes('foreign key')) {
+                res.status(404).json({
+                    error: 'User not found. Please log in again to refresh your session.'
+                });
+                return null;
+            }
+            // Duplicate key error - user exists with same email but possibly different ID
+            if (createError.code === '23505') {
+                // Try to find user by email
+                const { data: existingUserByEmail } = await supabase
+                    .from('users')
+                    .select(USER_ENHANCE_COLUMNS)
+                    .eq('email', userEmail)
+                    .maybeSingle();
+
+                if (existingUserByEmail) {
+                    // User exists but with different ID - this is a data inconsistency
+                    // For now, use the existing user's data
+                    userData = existingUserByEmail;
+                } else {
+                    // Try once more by the requested userId (race condition)
+                    const { data: retryData } = await supabase
+                        .from('users')
+                        .select(USER_ENHANCE_COLUMNS)
+                        .eq('id', userId)
+                        .maybeSingle();
+                    if (retryData) {
+                        userData = retryData;
+                    } else {
+                        res.status(500).json({
+                            error: 'Failed to create user record. User email exists with different ID.'
+                        });
+                        return null;
+                    }
+                }
+            } else {
+                res.status(500).json({
+                    error: 'Failed to create user record'
+                });
+                return null;
+            }
+        } else {
+            userData = newUserData;
+            try {
+                await recordGrant(userId, newUser.credits_remaining, newUser.credits_remaining, 'signup');
+            } catch (grantError) {
+                // The ledger entry is informational - don't block the request
+            }
+        }
+    }
+
+    // Enhancements are billed to the active workspace while the user is a member
+    if (userData.active_workspace_id) {
+        let workspace;
+        let membership;
+        try {
+            [workspace, membership] = await Promise.all([
+                getWorkspace(userData.active_workspace_id),
+                getMembership(userData.active_workspace_id, userId)
+            ]);
+        } catch (workspaceError) {
+            res.status(500).json({
+                error: 'Failed to fetch workspace data'
+            });
+            return null;
+        }
+
+        if (workspace && membership) {
+            return loadWorkspaceAccount(res, userData, workspace, membership);
+        }
+    }
+
+    // Apply the user's plan: allowance, reset window and model choice
+    const plan = resolveUserPlan(userData);
+    const account = {
+        userId: userId,
+        userData: userData,
+        plan: plan,
+        timeZone: userData.timezone || DEFAULT_TIME_ZONE,
+        creditsRemaining: userData.credits_remaining,
+        hasUnlimitedAccess: userData.has_unlimited_access || Boolean(plan.unlimited),
+        lastCreditReset: userData.last_credit_reset
+    };
+
+    // Check if credits need to be reset for the plan's period
+    if (!account.hasUnlimitedAccess && isResetDue(plan, userData.last_credit_reset, account.timeZone)) {
+
+        let reset;
+        try {
+            reset = await resetCredits(userId, plan.allowance, userData.last_credit_reset, `${plan.name} ${plan.period} reset`);
+        } catch (resetError) {
+            res.status(500).json({
+                error: 'Failed to reset user credits'
+            });
+            return null;
+        }
+
+        // A concurrent request may have won the reset; either way the
+        // balance was just refilled and the reservation is authoritative
+        account.creditsRemaining = reset ? reset.balance_after : plan.allowance;
+        account.lastCreditReset = new Date().toISOString();
+    }
+
+    return account;
+}
+
+// Billing account of a workspace member: the workspace plan refills the shared
+// pool, and in allowance mode the member's own allowance as well. A member can
+// spend what is left of both.
+async function loadWorkspaceAccount(res, userData, workspace, membership) {
+    const plan = getPlan(workspace.plan);
+    const timeZone = workspace.timezone || DEFAULT_TIME_ZONE;
+    const allowanceMode = workspace.credit_mode === 'allowance';
+
+    let poolCredits = workspace.credits_remaining;
+    let memberCredits = membership.credits_remaining;
+    let lastCreditReset = workspace.last_credit_reset;
+
+    try {
+        if (!plan.unlimited && isResetDue(plan, workspace.last_credit_reset, timeZone)) {
+            const reset = await resetWorkspaceCredits(workspace.id, null, plan.allowance, workspace.last_credit_reset, `${plan.name} ${plan.period} reset`);
+            poolCredits = reset ? reset.balance_after : plan.allowance;
+            lastCreditReset = new Date().toISOString();
+        }
+
+        // A member gets the first allowance on first use, then one per period
+        if (!plan.unlimited && allowanceMode
+            && (!membership.last_credit_reset || isResetDue(plan, membership.last_credit_reset, timeZone))) {
+            const reset = await resetWorkspaceCredits(workspace.id, userData.id, workspace.member_allowance, membership.last_credit_reset, 'member allowance');
+            memberCredits = reset ? reset.balance_after : workspace.member_allowance;
+        }
+    } catch (resetError) {
+        res.status(500).json({
+            error: 'Failed to reset workspace credits'
+        });
+        return null;
+    }
+
+    return {
+        userId: userData.id,
+        userData: userData,
+        plan: plan,
+        timeZone: timeZone,
+        creditsRemaining: allowanceMode ? Math.min(poolCredits, memberCredits) : poolCredits,
+        hasUnlimitedAccess: Boolean(plan.unlimited),
+        lastCreditReset: lastCreditReset,
+        workspace: {
+            id: workspace.id,
+            name: workspace.name,
+            role: membership.role,
+            credit_mode: workspace.credit_mode,
+            preferences: workspace.preferences
+        }
+    };
+}
+
+// The workspace part of a billed response (null for personal billing)
+function describeWorkspaceBilling(account) {
+    return account.workspace
+        ? { id: account.workspace.id, name: account.workspace.name, credit_mode: account.workspace.credit_mode }
+        : null;
+}
+
+// Response sent whenever the user cannot afford an operation
+function sendNoCreditsRemaining(res, account, creditsRequired = 1) {
+    return res.status(402).json({
+        error: account.workspace
+            ? 'Not enough workspace credits remaining. Please wait for the credits to reset or ask a workspace owner.'
+            : 'Not enough credits remaining. Please wait for your credits to reset.',
+        credits_remaining: Math.max(account.creditsRemaining, 0),
+        credits_required: creditsRequired,
+        plan: account.plan.name,
+        workspace: describeWorkspaceBilling(account),
+        next_reset: getNextReset(account.plan, account.lastCreditReset, account.timeZone).toISOString()
+    });
+}
+
+// Reserve the credits of an operation before the model call. Resolves to
+// { reservation, creditCost } (reservation is null for unlimited accounts), or
+// to null after sending the error response.
+async function reserveOperationCredits(res, account, operation) {
+    const creditCost = getOperationCost(operation);
+
+    if (account.hasUnlimitedAccess) {
+        return { reservation: null, creditCost };
+    }
+
+    let reservation;
+    try {
+        reservation = account.workspace
+            ? await reserveWorkspaceCredits(account.workspace.id, account.userId, creditCost, operation)
+            : await reserveCredits(account.userId, creditCost, operation);
+    } catch (reserveError) {
+        res.status(500).json({
+            error: 'Failed to reserve credits'
+        });
+        return null;
+    }
+
+    // Not enough credits for this operation (or another request spent them)
+    if (!reservation) {
+        sendNoCreditsRemaining(res, account, creditCost);
+        return null;
+    }
+
+    return { reservation, creditCost };
+}
+
+// Give back reserved credits; resolves to whether a refund happened
+async function refundReservation(reservation) {
+    if (!reservation) {
+        return false;
+    }
+    try {
+        await refundCredits(reservation.transaction_id);
+        return true;
+    } catch (refundError) {
+        return false;
+    }
+}
+
+// The template part of an enhancement response (null without a template)
+function describeTemplateUse(template) {
+    return template
+        ? { id: template.id, name: template.name, unfilled_placeholders: template.unfilled }
+        : null;
+}
+
+// Which style preferences were applied and which the prompt overrode
+function describePreferenceUse(preferences) {
+    return {
+        applied: Object.keys(preferences.applied),
+        overridden_by_prompt: preferences.overridden
+    };
+}
+
+// Generate several labelled rewrites of one prompt for a single charge.
+// Styles with their own strategy get the full guide retrieval; "standard"
+// uses the context chosen for the prompt's complexity.
+async function sendEnhancementVariants(res, options) {
+    const {
+        account,
+        platform,
+        prompt,
+        styles,
+        complexity,
+        taskType,
+        guideData,
+        guideContext,
+        fewShotExamples,
+        variant,
+        experimentName,
+        sourceHistoryId,
+        language,
+        retrievalText,
+        conversation,
+        template,
+        preferences
+    } = options;
+    const platformDefinition = getPlatform(platform);
+
+    const fullContext = retrieveGuideContext(retrievalText, guideData, 'vague', taskType);
+    const fullExamples = selectFewShotExamples(retrievalText, guideData, taskType, 'vague');
+
+    const systemPrompts = styles.map(style => buildStylePrompt({
+        style: style,
+        variant: variant,
+        complexity: complexity,
+        guideContext: style.strategy ? fullContext : guideContext,
+        fewShotExamples: style.strategy ? fullExamples : fewShotExamples,
+        platform: platformDefinition,
+        language: language,
+        conversation: conversation,
+        template: template,
+        preferences: preferences.applied
+    }));
+
+    const charge = await reserveOperationCredits(res, account, 'enhance.variants');
+    if (!charge) {
+        return;
+    }
+    const { reservation, creditCost } = charge;
+
+    const results = await Promise.allSettled(systemPrompts.map(async systemPrompt => {
+        const generationOptions = {
+            systemPrompt: systemPrompt,
+            prompt: prompt,
+            platform: resolvePlatformName(platform),
+            platformDefault: platformDefinition?.default_model,
+            override: account.plan.model
+        };
+        const result = await generateText(generationOptions);
+        return ensurePromptLanguage(result.text, language, generationOptions);
+    }));
+
+    const generated = [];
+    const failed = [];
+    results.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+            generated.push({ style: styles[index], text: cleanEnhancedPrompt(result.value) });
+        } else {
+            failed.push({ style: styles[index].id, error: result.reason.message });
+        }
+    });
+
+    // The credit is only kept when at least one variant came back
+    if (generated.length === 0) {
+        const refunded = await refundReservation(reservation);
+        return res.status(500).json({
+            error: 'AI model request failed',
+            details: failed[0].error,
+            credits_refunded: refunded
+        });
+    }
+
+    // Each variant gets its own history entry so feedback can name the one picked
+    const variants = [];
+    for (const { style, text } of generated) {
+        let historyId = null;
+        if (account.userData.history_enabled !== false) {
+            try {
+                const historyEntry = await saveEnhancement({
+                    userId: account.userId,
+                    platform: platform,
+                    originalPrompt: prompt,
+                    enhancedPrompt: text,
+                    complexity: complexity,
+                    taskType: taskType,
+                    sourceHistoryId: sourceHistoryId,
+                    experimentName: style.strategy ? null : experimentName,
+                    variantId: style.strategy ? style.id : variant.id
+                });
+                historyId = historyEntry.id;
+            } catch (historyError) {
+                // History is best-effort - the user still gets their variants
+            }
+        }
+
+        variants.push({
+            style: style.id,
+            label: style.label,
+            enhanced_prompt: text,
+            history_id: historyId
+        });
+    }
+
+    res.json({
+        variants: variants,
+        failed_variants: failed,
+        credits_remaining: account.hasUnlimitedAccess ? 'unlimited' : reservation.balance_after,
+        has_unlimited_access: account.hasUnlimitedAccess,
+        credits_charged: account.hasUnlimitedAccess ? 0 : creditCost,
+        plan: account.plan.name,
+        workspace: describeWorkspaceBilling(account),
+        complexity: complexity,
+        task_type: taskType,
+        language: language.code,
+        template: describeTemplateUse(template),
+        preferences: describePreferenceUse(preferences)
+    });
+}
+
+// Shared handler for /api/enhance and its streaming variant
+async function handleEnhance(req, res, { stream = false, sourceHistoryId = null } = {}) {
+    // Credits reserved for this request that have not been earned yet
+    let pendingReservation = null;
+
+    // Give back the reserved credit; resolves to whether a refund happened
+    const refundPendingReservation = async () => {
+        const refunded = await refundReservation(pendingReservation);
+        if (refunded) {
+            pendingReservation = null;
+        }
+        return refunded;
+    };
+
+    // A streaming client that goes away cancels the model call, which refunds
+    // the credit. The response closes unfinished only when the client left.
+    const disconnect = new AbortController();
+    if (stream) {
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                disconnect.abort();
+            }
+        });
+    }
+
+    try {
+        // Extract platform and prompt from request body - the user comes from the access token
+        const { variants, explain = false, conversation: conversationInput, template_id: templateId, variables } = req.body;
+        let { platform, prompt } = req.body;
+        const userId = req.user.id;
+
+        // Validate that platform is provided - a template brings its own
+        if (!platform && templateId === undefined) {
+            return res.status(400).json({
+                error: 'Platform is required in the request body'
+            });
+        }
+
+        // Validate that prompt is provided
+        if (!prompt) {
+            return res.status(400).json({
+                error: 'Prompt is required in the request body'
+            });
+        }
+
+        // Optional template mode: the prompt is the short input that fills one
+        // of the user's templates, a published one or one shared with a workspace
+        let template = null;
+
+        if (templateId !== undefined) {
+            const stored = typeof templateId === 'string' && UUID_PATTERN.test(templateId)
+                ? await getTemplate(templateId)
+                : null;
+
+            if (!canUseTemplate(stored, userId, stored ? await listWorkspaceIds(userId) : [])) {
+                return res.status(404).json({
+                    error: 'Template not found'
+                });
+            }
+
+            const variablesError = validateTemplateVariables(stored, variables);
+            if (variablesError) {
+                return res.status(400).json({
+                    error: variablesError
+                });
+            }
+
+            const filled = fillTemplate(stored, prompt, variables);
+            template = {
+                id: stored.id,
+                name: stored.name,
+                instructions: stored.instructions,
+                unfilled: filled.unfilled
+            };
+            prompt = filled.text;
+            platform = platform || stored.platform;
+        } else if (variables !== undefined) {
+            return res.status(400).json({
+                error: 'variables can only be used together with template_id'
+            });
+        }
+
+        // Optional side-by-side variants: a count or a list of styles
+        const styles = variants === undefined ? null : resolveStyles(variants);
+
+        if (variants !== undefined && !styles) {
+            return res.status(400).json({
+                error: `Variants must be a number from ${MIN_STYLES} to ${MAX_STYLES} or a list of distinct styles: ${listStyleIds().join(', ')}`
+            });
+        }
+
+        if (styles && stream) {
+            return res.status(400).json({
+                error: 'Variants are not available on the streaming endpoint'
+            });
+        }
+
+        // Optional explain mode: the rewrite comes back with a structured rationale
+        if (typeof explain !== 'boolean') {
+            return res.status(400).json({
+                error: 'explain must be true or false'
+            });
+        }
+
+        if (explain && (stream || styles)) {
+            return res.status(400).json({
+                error: 'Explain mode is not available with variants or on the streaming endpoint'
+            });
+        }
+
+        // Optional earlier chat turns, so a follow-up is refined in context
+        const conversation = resolveConversation(conversationInput);
+
+        if (!conversation) {
+            return res.status(400).json({
+                error: 'conversation must be a list of { role, content } turns with role "user" or "assistant"'
+            });
+        }
+
+
+        // =============================================================================
+        // CREDIT MANAGEMENT LOGIC
         // =============================================================================
 
-        // Deduct credit if user doesn't have unlimited access
-        if (!hasUnlimitedAccess) {
+        const account = await loadBillingAccount(req, res);
+        if (!account) {
+            return;
+        }
+        const { userData, plan, hasUnlimitedAccess } = account;
+
+        // Check if user has credits remaining
+        if (!hasUnlimitedAccess && account.creditsRemaining <= 0) {
+            return sendNoCreditsRemaining(res, account);
+        }
 
-            const { error: deductError } = await supabase
-                .from('users')
-                .update({
-                    credits_remaining: currentCredits - 1,
-                    last_used_at: new Date().toISOString()
-                })
-                .eq('id', userId);
-
-            if (deductError) {
-                // Note: We still return the enhanced prompt even if credit deduction fails
-                // But we log the error for monitoring
-            } else {
+        // Query the prompt_guides table for the specified platform
+        const { data, error } = await fetchPromptGuide(platform);
+
+        if (error) {
+            return res.status(500).json({
+                error: 'Database query failed'
+            });
+        }
+
+        // Check if a guide was found
+        if (!data) {
+            return sendGuideNotFound(res, platform);
+        }
+
+
+        // Construct the meta-prompt (system prompt) from the guide data
+        const guide_data = data.guide_data;
+
+        // The heuristics and the guides are English - other languages are
+        // glossed into English terms for classification and retrieval
+        const language = detectLanguage(prompt);
+        const retrievalText = glossPrompt(prompt, language.code);
+
+        // The user's style preferences on top of the workspace's shared ones,
+        // minus those the prompt states itself
+        const preferences = resolvePreferences(
+            mergePreferences(account.workspace ? account.workspace.preferences : null, userData.preferences),
+            retrievalText
+        );
+
+        const complexityAnalysis = analyzePromptComplexity(prompt, DEFAULT_THRESHOLDS, language.code, conversation);
+        const promptComplexity = complexityAnalysis.complexity;
+        const taskType = detectTaskType(prompt, language.code, conversation);
+
+        // Retrieve the guide principles, structural elements, anti-patterns and
+        // task-specific guidance that best match this prompt
+        const guideContext = retrieveGuideContext(retrievalText, guide_data, promptComplexity, taskType);
+
+        // Pick before/after examples from the guide as few-shot demonstrations
+        const fewShotExamples = selectFewShotExamples(retrievalText, guide_data, taskType, promptComplexity);
+
+        // =============================================================================
+        // BUILD META-PROMPT BASED ON COMPLEXITY
+        // =============================================================================
+
+        // The strategy per complexity bucket comes from the meta-prompt variant,
+        // which a running experiment may assign instead of the default
+        const { experimentName, variant } = await chooseVariant(userId, promptComplexity);
+
+        // Several labelled rewrites for a single credit
+        if (styles) {
+            return await sendEnhancementVariants(res, {
+                account: account,
+                platform: platform,
+                prompt: prompt,
+                styles: styles,
+                complexity: promptComplexity,
+                taskType: taskType,
+                guideData: guide_data,
+                guideContext: guideContext,
+                fewShotExamples: fewShotExamples,
+                variant: variant,
+                experimentName: experimentName,
+                sourceHistoryId: sourceHistoryId,
+                language: language,
+                retrievalText: retrievalText,
+                conversation: conversation,
+                template: template,
+                preferences: preferences
+            });
+        }
+
+        const system_prompt_content = buildSystemPrompt({
+            variant: variant,
+            complexity: promptComplexity,
+            guideContext: guideContext,
+            fewShotExamples: fewShotExamples,
+            platform: getPlatform(platform),
+            language: language,
+            conversation: conversation,
+            template: template,
+            preferences: preferences.applied
+        });
+
+        // =============================================================================
+        // CREDIT RESERVATION - Taken before the model call, refunded if it fails
+        // =============================================================================
+
+        // A vague prompt gets a full expansion, which costs more than a polish
+        const charge = await reserveOperationCredits(res, account, `enhance.${promptComplexity}`);
+        if (!charge) {
+            return;
+        }
+        const { reservation, creditCost } = charge;
+        pendingReservation = reservation;
+
+        // Make the API call to enhance the prompt with the configured provider
+        let enhancedPrompt = "";
+        let explainedResult = null;
+        const generationOptions = {
+            systemPrompt: system_prompt_content,
+            prompt: prompt,
+            platform: resolvePlatformName(platform),
+            platformDefault: getPlatform(platform)?.default_model,
+            override: plan.model,
+            signal: disconnect.signal
+        };
+
+        if (stream) {
+            // Send partial text as Server-Sent Events while the model generates
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('Connection', 'keep-alive');
+            res.flushHeaders();
+
+            const stripper = createPrefixStripper();
+            try {
+                for await (const chunk of streamText(generationOptions)) {
+                    enhancedPrompt += chunk;
+                    const text = stripper.push(chunk);
+                    if (text) {
+                        sendEvent(res, 'chunk', { text });
+                    }
+                }
+                const remainder = stripper.flush();
+                if (remainder) {
+                    sendEvent(res, 'chunk', { text: remainder });
+                }
+
+                // A retry in the right language replaces everything streamed so far
+                const checkedPrompt = await ensurePromptLanguage(enhancedPrompt, language, generationOptions);
+                if (checkedPrompt !== enhancedPrompt) {
+                    enhancedPrompt = checkedPrompt;
+                    sendEvent(res, 'replace', { text: cleanEnhancedPrompt(checkedPrompt) });
+                }
+            } catch (apiError) {
+                const refunded = await refundPendingReservation();
+                if (disconnect.signal.aborted) {
+                    return;
+                }
+                sendEvent(res, 'error', {
+                    error: 'AI model request failed',
+                    details: apiError.message,
+                    credits_refunded: refunded
+                });
+                return res.end();
+            }
+        } else if (explain) {
+            try {
+                const result = await generateText({
+                    ...generationOptions,
+                    systemPrompt: buildExplainPrompt({
+                        variant: variant,
+                        complexity: promptComplexity,
+                        guideContext: guideContext,
+                        fewShotExamples: fewShotExamples,
+                        platform: getPlatform(platform),
+                        language: language,
+                        conversation: conversation,
+                        template: template,
+                        preferences: preferences.applied
+                    }),
+                    json: true
+                });
+                explainedResult = parseExplainedEnhancement(result.text);
+
+                // Malformed JSON - fall back to a plain rewrite so the user still
+                // gets an enhancement, explained by the server-side metadata only
+                const candidate = explainedResult
+                    ? explainedResult.enhancedPrompt
+                    : (await generateText(generationOptions)).text;
+                enhancedPrompt = await ensurePromptLanguage(candidate, language, generationOptions);
+
+                // A rewrite redone for its language no longer matches the model's change list
+                if (explainedResult && enhancedPrompt !== candidate) {
+                    explainedResult = null;
+                }
+            } catch (apiError) {
+                const refunded = await refundPendingReservation();
+                return res.status(500).json({
+                    error: 'AI model request failed',
+                    details: apiError.message,
+                    credits_refunded: refunded
+                });
+            }
+        } else {
+            try {
+                const result = await generateText(generationOptions);
+                enhancedPrompt = await ensurePromptLanguage(result.text, language, generationOptions);
+            } catch (apiError) {
+                const refunded = await refundPendingReservation();
+                return res.status(500).json({
+                    error: 'AI model request failed',
+                    details: apiError.message,
+                    credits_refunded: refunded
+                });
+            }
+        }
+
+        // The model delivered, so the reserved credit is now spent for good
+        pendingReservation = null;
+
+        // Clean up any unwanted prefixes that the AI might add
+        enhancedPrompt = cleanEnhancedPrompt(enhancedPrompt);
+
+        // =============================================================================
+        // HISTORY - Keep the rewrite unless the user switched history off
+        // =============================================================================
+
+        let historyId = null;
+        if (userData.history_enabled !== false) {
+            try {
+                const historyEntry = await saveEnhancement({
+                    userId: userId,
+                    platform: platform,
+                    originalPrompt: prompt,
+                    enhancedPrompt: enhancedPrompt,
+                    complexity: promptComplexity,
+                    taskType: taskType,
+                    sourceHistoryId: sourceHistoryId,
+                    experimentName: experimentName,
+                    variantId: variant.id
+                });
+                historyId = historyEntry.id;
+            } catch (historyError) {
+                // History is best-effort - the user still gets their enhancement
             }
         }
 
         // Return the enhanced prompt with credit information
-        res.json({
+        const responseBody = {
             enhanced_prompt: enhancedPrompt,
-            credits_remaining: hasUnlimitedAccess ? 'unlimited' : currentCredits - 1,
-            has_unlimited_access: hasUnlimitedAccess
+            credits_remaining: hasUnlimitedAccess ? 'unlimited' : reservation.balance_after,
+            has_unlimited_access: hasUnlimitedAccess,
+            credits_charged: hasUnlimitedAccess ? 0 : creditCost,
+            plan: plan.name,
+            workspace: describeWorkspaceBilling(account),
+            complexity: promptComplexity,
+            task_type: taskType,
+            language: language.code,
+            template: describeTemplateUse(template),
+            preferences: describePreferenceUse(preferences),
+            meta_prompt_variant: variant.id,
+            experiment: experimentName,
+            history_id: historyId
+        };
+
+        if (explain) {
+            responseBody.explanation = buildExplanation({
+                analysis: complexityAnalysis,
+                guideContext: guideContext,
+                detectedAntiPatterns: matchAntiPatterns(retrievalText, guide_data),
+                changes: explainedResult ? explainedResult.changes : null,
+                originalPrompt: prompt,
+                enhancedPrompt: enhancedPrompt
+            });
+        }
+
+        // The streamed text is only a preview - the final event carries the cleaned result
+        if (stream) {
+            sendEvent(res, 'done', responseBody);
+            return res.end();
+        }
+
+        res.json(responseBody);
+
+    } catch (error) {
+        await refundPendingReservation();
+
+        // Once the event stream has started, errors have to be sent as events
+        if (res.headersSent) {
+            sendEvent(res, 'error', { error: 'Internal server error' });
+            return res.end();
+        }
+        res.status(500).json({
+            error: 'Internal server error'
+        });
+    }
+}
+
+// POST API endpoint for prompt enhancement
+app.post('/api/enhance', requireAuth, (req, res) => handleEnhance(req, res));
+
+// POST API endpoint for streaming prompt enhancement over Server-Sent Events:
+// "chunk" events with partial text, a "replace" event with the full text when
+// the answer was redone in the prompt's language, then "done" or "error"
+app.post('/api/enhance/stream', requireAuth, (req, res) => handleEnhance(req, res, { stream: true }));
+
+// =============================================================================
+// CROSS-PLATFORM TRANSLATION
+// =============================================================================
+
+// POST endpoint that rewrites a prompt written for one platform to follow the
+// conventions of another, without expanding its content
+app.post('/api/translate', requireAuth, async (req, res) => {
+    let pendingReservation = null;
+
+    try {
+        const { source_platform, target_platform, prompt } = req.body;
+
+        // Validate the request body
+        if (!source_platform || !target_platform || !prompt || typeof prompt !== 'string') {
+            return res.status(400).json({
+                error: 'source_platform, target_platform and prompt are required in the request body'
+            });
+        }
+
+        const source = getPlatform(source_platform);
+        const target = getPlatform(target_platform);
+        const unknownPlatform = !source ? source_platform : (!target ? target_platform : null);
+
+        if (unknownPlatform) {
+            return res.status(400).json({
+                error: `Unsupported platform "${unknownPlatform}". GET /api/platforms lists the supported platforms.`
+            });
+        }
+
+        if (source.id === target.id) {
+            return res.status(400).json({
+                error: 'Source and target platform must be different'
+            });
+        }
+
+        const account = await loadBillingAccount(req, res);
+        if (!account) {
+            return;
+        }
+
+        if (!account.hasUnlimitedAccess && account.creditsRemaining <= 0) {
+            return sendNoCreditsRemaining(res, account);
+        }
+
+        // Both guides are needed: the source tells what to undo, the target what to apply
+        const [sourceResult, targetResult] = await Promise.all([
+            fetchPromptGuide(source.id),
+            fetchPromptGuide(target.id)
+        ]);
+
+        if (sourceResult.error || targetResult.error) {
+            return res.status(500).json({
+                error: 'Database query failed'
+            });
+        }
+
+        if (!sourceResult.data) {
+            return sendGuideNotFound(res, source_platform);
+        }
+        if (!targetResult.data) {
+            return sendGuideNotFound(res, target_platform);
+        }
+
+        const targetGuide = targetResult.data.guide_data;
+        const language = detectLanguage(prompt);
+        const antiPatterns = matchAntiPatterns(glossPrompt(prompt, language.code), targetGuide);
+
+        const systemPrompt = buildTranslationPrompt({
+            source: source,
+            target: target,
+            sourceGuide: sourceResult.data.guide_data,
+            targetGuide: targetGuide,
+            antiPatterns: antiPatterns,
+            language: language
+        });
+
+        const charge = await reserveOperationCredits(res, account, 'translate');
+        if (!charge) {
+            return;
+        }
+        const { reservation, creditCost } = charge;
+        pendingReservation = reservation;
+
+        let translatedPrompt;
+        try {
+            const generationOptions = {
+                systemPrompt: systemPrompt,
+                prompt: prompt,
+                platform: target.guide,
+                platformDefault: target.default_model,
+                override: account.plan.model
+            };
+            const result = await generateText(generationOptions);
+            translatedPrompt = cleanEnhancedPrompt(await ensurePromptLanguage(result.text, language, generationOptions));
+        } catch (apiError) {
+            const refunded = await refundReservation(pendingReservation);
+            pendingReservation = null;
+            return res.status(500).json({
+                error: 'AI model request failed',
+                details: apiError.message,
+                credits_refunded: refunded
+            });
+        }
+        pendingReservation = null;
+
+        res.json({
+            translated_prompt: translatedPrompt,
+            source_platform: source.id,
+            target_platform: target.id,
+            language: language.code,
+            conventions_changed: compareFormatting(source, target),
+            guide_entries_applied: {
+                structural_elements: (getGuideContent(targetGuide).structural_elements || []).map(entry => entry.title),
+                anti_patterns: antiPatterns.map(entry => entry.title)
+            },
+            credits_remaining: account.hasUnlimitedAccess ? 'unlimited' : reservation.balance_after,
+            has_unlimited_access: account.hasUnlimitedAccess,
+            credits_charged: account.hasUnlimitedAccess ? 0 : creditCost,
+            plan: account.plan.name,
+            workspace: describeWorkspaceBilling(account)
         });
 
     } catch (error) {
+        await refundReservation(pendingReservation);
         res.status(500).json({
             error: 'Internal server error'
         });
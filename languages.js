@@ -0,0 +1,228 @@
+// Import language definitions
+const languageConfig = require('./_data/languages.json');
+
+// =============================================================================
+// LANGUAGE DETECTION
+// =============================================================================
+
+// Languages are data in _data/languages.json. Each language defines:
+//   script     - writing system used to recognise it ("latin", "devanagari", ...)
+//   stopwords  - common words that tell Latin-script languages apart
+//   characters - letters or marks typical for the language (extra evidence)
+//   glossary   - native words mapped to the English terms the classifier and
+//                the guides use, so heuristics and retrieval work unchanged
+//   characters_per_word - for scripts written without spaces
+//   glossary_match - "anywhere" for languages whose words are not separated
+//                by spaces (Chinese, Japanese) or carry attached particles
+//                (Korean), so glossary terms cannot be matched as whole words
+
+const DEFAULT_LANGUAGE = languageConfig.default_language;
+const MIN_RELIABLE_SCORE = languageConfig.min_reliable_score;
+// A Latin-script language has to score this many times more than English to
+// win, so an English prompt with a few foreign words stays English
+const ENGLISH_RATIO = languageConfig.english_ratio;
+
+const SCRIPT_PATTERNS = {
+    latin: /\p{Script=Latin}/gu,
+    devanagari: /\p{Script=Devanagari}/gu,
+    cyrillic: /\p{Script=Cyrillic}/gu,
+    arabic: /\p{Script=Arabic}/gu,
+    han: /\p{Script=Han}/gu,
+    kana: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu,
+    hangul: /\p{Script=Hangul}/gu
+};
+
+// A non-Latin script has to cover this share of the letters to decide the language
+const MIN_SCRIPT_SHARE = 0.3;
+
+// Letters, combining marks (Devanagari vowel signs) and digits form words
+const WORD_BOUNDARY = '[\\p{L}\\p{M}\\p{N}]';
+
+// Look up a language by code (null if it does not exist)
+function getLanguage(code) {
+    const language = languageConfig.languages[code];
+    return language ? { code, ...language } : null;
+}
+
+// List every language that can be detected
+function listLanguages() {
+    return Object.keys(languageConfig.languages).map(getLanguage);
+}
+
+function countMatches(text, pattern) {
+    return (text.match(pattern) || []).length;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Code and quoted passages say nothing about the language the prompt is
+// written in: "Translate this: «¿Dónde está?»" or "la.map(y => y.es)"
+const IGNORED_SPANS = [
+    /```[\s\S]*?(```|$)/g,
+    /`[^`\n]*`/g,
+    /"[^"\n]*"|“[^”\n]*”|«[^»\n]*»|„[^“”\n]*[“”]/g,
+    /(^|\s)'[^'\n]*'(?=[\s.,;:!?)]|$)/g,
+    /¿[^?\n]*\?|¡[^!\n]*!/g,
+    /\S*[=(){}[\];<>$\\|]\S*|\S*\w[./]\w\S*/g
+];
+
+// The text to score for the language. A prompt that is nothing but a quote
+// or code is scored as it is.
+function stripIgnoredSpans(text) {
+    const stripped = IGNORED_SPANS.reduce((result, pattern) => result.replace(pattern, ' '), text);
+    return /\p{L}/u.test(stripped) ? stripped : text;
+}
+
+// Detect the language of a text. Returns { code, name, reliable, score };
+// unreliable results (short or mixed text) fall back to the best guess, or to
+// the default language when nothing matched at all.
+function detectLanguage(text) {
+    const sample = String(text || '').toLowerCase();
+    const result = (code, score, reliable) => ({
+        code: code,
+        name: languageConfig.languages[code].name,
+        reliable: reliable,
+        score: score
+    });
+
+    const scriptCounts = {};
+    Object.entries(SCRIPT_PATTERNS).forEach(([script, pattern]) => {
+        scriptCounts[script] = countMatches(sample, pattern);
+    });
+    const totalLetters = Object.values(scriptCounts).reduce((sum, count) => sum + count, 0);
+    if (totalLetters === 0) {
+        return result(DEFAULT_LANGUAGE, 0, false);
+    }
+
+    // Japanese mixes kana with Han characters, so any kana decides for Japanese
+    if (scriptCounts.kana > 0) {
+        scriptCounts.kana += scriptCounts.han;
+        scriptCounts.han = 0;
+    }
+
+    const [dominantScript, dominantCount] = Object.entries(scriptCounts)
+        .filter(([script]) => script !== 'latin')
+        .sort((a, b) => b[1] - a[1])[0];
+    if (dominantCount / totalLetters >= MIN_SCRIPT_SHARE) {
+        const language = listLanguages().find(candidate => candidate.script === dominantScript);
+        if (language) {
+            return result(language.code, dominantCount, dominantCount >= MIN_RELIABLE_SCORE * 2);
+        }
+    }
+
+    // Latin script: score each language by its stopwords and typical characters
+    const prose = stripIgnoredSpans(sample);
+    const words = prose.match(/[\p{L}\p{M}']+/gu) || [];
+    const scores = listLanguages()
+        .filter(language => language.script === 'latin')
+        .map(language => {
+            const stopwords = new Set(language.stopwords || []);
+            const wordHits = words.filter(word => stopwords.has(word)).length;
+            const characterHits = (language.characters || [])
+                .reduce((sum, character) => sum + prose.split(character).length - 1, 0);
+            return { code: language.code, score: wordHits + characterHits, stopwords: stopwords };
+        })
+        .sort((a, b) => b.score - a.score);
+
+    const [best, second] = scores;
+    if (!best || best.score === 0) {
+        return result(DEFAULT_LANGUAGE, 0, false);
+    }
+
+    // A prompt that is about as English as it is anything else stays English.
+    // Words both languages share ("me", "a") count for neither here.
+    const english = scores.find(score => score.code === DEFAULT_LANGUAGE);
+    if (best.code !== DEFAULT_LANGUAGE && english) {
+        const englishHits = words.filter(word => english.stopwords.has(word) && !best.stopwords.has(word)).length;
+        if (englishHits > 0 && best.score < englishHits * ENGLISH_RATIO) {
+            return result(DEFAULT_LANGUAGE, english.score, false);
+        }
+    }
+    return result(best.code, best.score, best.score >= MIN_RELIABLE_SCORE && best.score > (second ? second.score : 0));
+}
+
+// Whether a text is in the given language. Text whose language cannot be
+// told reliably (short, mostly code) counts as a match.
+function matchesLanguage(text, code) {
+    const detected = detectLanguage(text);
+    return !detected.reliable || detected.code === code;
+}
+
+// =============================================================================
+// GLOSSING - Map a prompt onto the English terms the heuristics look for
+// =============================================================================
+
+// Sentence punctuation of other scripts, mapped to the ASCII marks the
+// heuristics count; Spanish opening marks are dropped so anchors still match
+const PUNCTUATION_MAP = { '।': '.', '。': '.', '！': '!', '？': '?', '¿': '', '¡': '' };
+
+// One alternation per language, longest phrase first so "paso a paso" wins over "paso"
+const glossaryPatterns = {};
+
+function matchesAnywhere(language) {
+    return language.glossary_match === 'anywhere';
+}
+
+function getGlossaryPattern(language) {
+    if (!glossaryPatterns[language.code]) {
+        const terms = Object.keys(language.glossary).sort((a, b) => b.length - a.length);
+        const alternation = `(${terms.map(escapeRegExp).join('|')})`;
+        glossaryPatterns[language.code] = new RegExp(
+            matchesAnywhere(language) ? alternation : `(?<!${WORD_BOUNDARY})${alternation}(?!${WORD_BOUNDARY})`,
+            'gu'
+        );
+    }
+    return glossaryPatterns[language.code];
+}
+
+// Rewrite a prompt with glossary terms replaced by their English equivalents.
+// English prompts come back unchanged; words without a gloss are kept as they are.
+function glossPrompt(text, code) {
+    const language = getLanguage(code);
+    if (!language || code === DEFAULT_LANGUAGE) {
+        return String(text || '');
+    }
+
+    let glossed = String(text || '').replace(/[।。！？¿¡]/g, mark => PUNCTUATION_MAP[mark]);
+    if (language.glossary && matchesAnywhere(language)) {
+        // Without spaces around them, neighbouring glosses would run together
+        // ("写代码" -> "writecode") and the heuristics would not see them
+        glossed = glossed.toLowerCase()
+            .replace(getGlossaryPattern(language), term => ` ${language.glossary[term]} `)
+            .replace(/ {2,}/g, ' ')
+            .replace(/ (?=[.,!?])/g, '')
+            .trim();
+    } else if (language.glossary) {
+        glossed = glossed.toLowerCase().replace(getGlossaryPattern(language), term => language.glossary[term]);
+    }
+    return glossed;
+}
+
+// Word count that also works for scripts written without spaces
+function countWords(text, code = DEFAULT_LANGUAGE) {
+    const language = getLanguage(code);
+    const value = String(text || '');
+
+    if (!language || !language.characters_per_word) {
+        return value.split(/\s+/).filter(word => word.length > 0).length;
+    }
+
+    const ideographPattern = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/gu;
+    const ideographs = countMatches(value, ideographPattern);
+    const otherWords = value.replace(ideographPattern, ' ')
+        .split(/\s+/)
+        .filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+    return Math.round(ideographs / language.characters_per_word) + otherWords;
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    getLanguage,
+    listLanguages,
+    detectLanguage,
+    matchesLanguage,
+    glossPrompt,
+    countWords
+};
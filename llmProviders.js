@@ -0,0 +1,353 @@
+// Import required libraries
+require('dotenv').config();
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// =============================================================================
+// LLM PROVIDER CONFIGURATION
+// =============================================================================
+
+// Provider used when nothing more specific is configured
+const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || 'gemini';
+
+// Default model for each provider
+const DEFAULT_MODELS = {
+    gemini: process.env.GEMINI_MODEL || 'gemini-flash-lite-latest',
+    openai: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    anthropic: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+    fake: 'fake-model'
+};
+
+// Parse a JSON object from an environment variable, ignoring malformed values
+function parseJsonEnv(name) {
+    if (!process.env[name]) {
+        return {};
+    }
+    try {
+        return JSON.parse(process.env[name]);
+    } catch (error) {
+        return {};
+    }
+}
+
+// Per-platform model overrides keyed by database platform name, e.g.
+// LLM_PLATFORM_MODELS='{"Claude Sonnet 4": "anthropic:claude-3-5-haiku-latest"}'
+const PLATFORM_MODELS = parseJsonEnv('LLM_PLATFORM_MODELS');
+
+// How long a provider call may take before it is abandoned; a stream gets this
+// long for the whole response
+const REQUEST_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 60000;
+
+// =============================================================================
+// PROVIDER ADAPTERS
+// =============================================================================
+
+// Each adapter exposes generate({ systemPrompt, prompt, model, signal }) -> Promise<string>
+// and stream({ systemPrompt, prompt, model, signal }) -> async iterable of text chunks.
+// The optional AbortSignal cancels the underlying HTTP request.
+
+// Yield the `data:` payloads of a Server-Sent Events HTTP response
+async function* readServerSentEvents(response) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const bytes of response.body) {
+        buffer += decoder.decode(bytes, { stream: true }).replace(/\r\n/g, '\n');
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            const data = rawEvent
+                .split('\n')
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trimStart())
+                .join('\n');
+            if (data) {
+                yield data;
+            }
+        }
+    }
+}
+
+// Google Gemini via the official SDK
+function createGeminiProvider({ apiKey = process.env.GEMINI_API_KEY } = {}) {
+    const genAI = new GoogleGenerativeAI(apiKey);
+
+    return {
+        name: 'gemini',
+        async generate({ systemPrompt, prompt, model, json = false, signal }) {
+            const generativeModel = genAI.getGenerativeModel({
+                model: model,
+                systemInstruction: systemPrompt,
+                generationConfig: json ? { responseMimeType: 'application/json' } : undefined
+            });
+            const result = await generativeModel.generateContent(prompt, { signal });
+            return result.response.text();
+        },
+        async *stream({ systemPrompt, prompt, model, signal }) {
+            const generativeModel = genAI.getGenerativeModel({
+                model: model,
+                systemInstruction: systemPrompt
+            });
+            const result = await generativeModel.generateContentStream(prompt, { signal });
+            for await (const chunk of result.stream) {
+                yield chunk.text();
+            }
+        }
+    };
+}
+
+// Any OpenAI-compatible chat completions endpoint (OpenAI, Ollama, llama.cpp, ...)
+function createOpenAICompatibleProvider({
+    apiKey = process.env.OPENAI_API_KEY,
+    baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'
+} = {}) {
+    const request = async ({ systemPrompt, prompt, model, stream, json = false, signal }) => {
+        const headers = { 'Content-Type': 'application/json' };
+        // Local servers usually run without a key
+        if (apiKey) {
+            headers.Authorization = `Bearer ${apiKey}`;
+        }
+
+        const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+            method: 'POST',
+            signal: signal,
+            headers: headers,
+            body: JSON.stringify({
+                model: model,
+                stream: stream,
+                response_format: json ? { type: 'json_object' } : undefined,
+                messages: [
+                    { role: 'system', content: systemPrompt },
+                    { role: 'user', content: prompt }
+                ]
+            })
+        });
+
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            throw new Error(body.error?.message || `OpenAI-compatible request failed with status ${response.status}`);
+        }
+
+        return response;
+    };
+
+    return {
+        name: 'openai',
+        async generate(options) {
+            const response = await request({ ...options, stream: false });
+            const body = await response.json();
+            return body.choices?.[0]?.message?.content || '';
+        },
+        async *stream(options) {
+            const response = await request({ ...options, stream: true });
+            for await (const data of readServerSentEvents(response)) {
+                if (data === '[DONE]') {
+                    return;
+                }
+                const text = JSON.parse(data).choices?.[0]?.delta?.content;
+                if (text) {
+                    yield text;
+                }
+            }
+        }
+    };
+}
+
+// Anthropic Messages API
+function createAnthropicProvider({
+    apiKey = process.env.ANTHROPIC_API_KEY,
+    baseUrl = process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1'
+} = {}) {
+    const request = async ({ systemPrompt, prompt, model, stream, json = false, signal }) => {
+        const messages = [{ role: 'user', content: prompt }];
+        // No JSON mode here - prefilling the reply with "{" keeps it to a JSON object
+        if (json) {
+            messages.push({ role: 'assistant', content: '{' });
+        }
+
+        const response = await fetch(`${baseUrl.replace(/\/$/, '')}/messages`, {
+            method: 'POST',
+            signal: signal,
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': apiKey,
+                'anthropic-version': '2023-06-01'
+            },
+            body: JSON.stringify({
+                model: model,
+                max_tokens: 2048,
+                stream: stream,
+                system: systemPrompt,
+                messages: messages
+            })
+        });
+
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            throw new Error(body.error?.message || `Anthropic request failed with status ${response.status}`);
+        }
+
+        return response;
+    };
+
+    return {
+        name: 'anthropic',
+        async generate(options) {
+            const response = await request({ ...options, stream: false });
+            const body = await response.json();
+            const text = (body.content || [])
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('');
+            // The prefilled "{" is not repeated in the reply
+            return options.json ? `{${text}` : text;
+        },
+        async *stream(options) {
+            const response = await request({ ...options, stream: true });
+            for await (const data of readServerSentEvents(response)) {
+                const event = JSON.parse(data);
+                if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+                    yield event.delta.text;
+                }
+                if (event.type === 'error') {
+                    throw new Error(event.error?.message || 'Anthropic stream failed');
+                }
+            }
+        }
+    };
+}
+
+// Deterministic offline provider - returns FAKE_LLM_RESPONSE when set,
+// otherwise the user's prompt with whitespace normalized (wrapped in a JSON
+// object when JSON output is requested)
+function createFakeProvider({ response = process.env.FAKE_LLM_RESPONSE } = {}) {
+    return {
+        name: 'fake',
+        async generate({ prompt, json = false, signal }) {
+            signal?.throwIfAborted();
+            if (response !== undefined) {
+                return response;
+            }
+            const text = String(prompt).replace(/\s+/g, ' ').trim();
+            return json ? JSON.stringify({ enhanced_prompt: text, changes: [] }) : text;
+        },
+        async *stream(options) {
+            // Emit word by word so streaming clients see several chunks
+            const text = await this.generate(options);
+            const pieces = text.match(/\S+\s*/g) || [];
+            for (const piece of pieces) {
+                options.signal?.throwIfAborted();
+                yield piece;
+            }
+        }
+    };
+}
+
+const providerFactories = {
+    gemini: createGeminiProvider,
+    openai: createOpenAICompatibleProvider,
+    anthropic: createAnthropicProvider,
+    fake: createFakeProvider
+};
+
+// Providers are created lazily and reused across requests
+const providerCache = {};
+
+function getProvider(name = DEFAULT_PROVIDER) {
+    const factory = providerFactories[name];
+    if (!factory) {
+        throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    if (!providerCache[name]) {
+        providerCache[name] = factory();
+    }
+    return providerCache[name];
+}
+
+// =============================================================================
+// MODEL SELECTION
+// =============================================================================
+
+// Parse a "provider:model" spec; a bare model name uses the default provider
+function parseModelSpec(spec) {
+    if (!spec) {
+        return null;
+    }
+    const separatorIndex = spec.indexOf(':');
+    if (separatorIndex > 0 && providerFactories[spec.slice(0, separatorIndex)]) {
+        return { provider: spec.slice(0, separatorIndex), model: spec.slice(separatorIndex + 1) };
+    }
+    return { provider: DEFAULT_PROVIDER, model: spec };
+}
+
+// Pick the provider and model for a request. Explicit overrides win, then the
+// platform mapping, then the platform registry's default_model, then the global
+// LLM_MODEL, then the provider default.
+function resolveModelChoice({ platform, platformDefault, override } = {}) {
+    const choice = parseModelSpec(override)
+        || parseModelSpec(platform && PLATFORM_MODELS[platform])
+        || parseModelSpec(platformDefault)
+        || parseModelSpec(process.env.LLM_MODEL)
+        || { provider: DEFAULT_PROVIDER, model: null };
+
+    return {
+        provider: choice.provider,
+        model: choice.model || DEFAULT_MODELS[choice.provider]
+    };
+}
+
+// Abort signal for one provider call: the timeout, plus the caller's own signal
+// (e.g. a streaming client disconnected) when there is one
+function createRequestSignal(signal) {
+    const timeoutSignal = AbortSignal.timeout(REQUEST_TIMEOUT_MS);
+    return signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+}
+
+// A call cut off by REQUEST_TIMEOUT_MS fails with a provider error that says so
+// instead of a bare abort
+function describeProviderFailure(error, provider, signal) {
+    if (signal.aborted && signal.reason?.name === 'TimeoutError') {
+        return new Error(`${provider} request timed out after ${REQUEST_TIMEOUT_MS} ms`);
+    }
+    return error;
+}
+
+// Generate text with the provider/model chosen for this request. With json set
+// the provider's JSON output mode is used; callers still have to parse the text.
+// An optional AbortSignal cancels the call.
+async function generateText({ systemPrompt, prompt, platform, platformDefault, override, json = false, signal: callerSignal }) {
+    const { provider, model } = resolveModelChoice({ platform, platformDefault, override });
+    const signal = createRequestSignal(callerSignal);
+    try {
+        const text = await getProvider(provider).generate({ systemPrompt, prompt, model, json, signal });
+        return { text, provider, model };
+    } catch (error) {
+        throw describeProviderFailure(error, provider, signal);
+    }
+}
+
+// Stream text chunks from the provider/model chosen for this request
+async function* streamText({ systemPrompt, prompt, platform, platformDefault, override, signal: callerSignal }) {
+    const { provider, model } = resolveModelChoice({ platform, platformDefault, override });
+    const signal = createRequestSignal(callerSignal);
+    try {
+        yield* getProvider(provider).stream({ systemPrompt, prompt, model, signal });
+    } catch (error) {
+        throw describeProviderFailure(error, provider, signal);
+    }
+}
+
+module.exports = {
+    DEFAULT_MODELS,
+    createGeminiProvider,
+    createOpenAICompatibleProvider,
+    createAnthropicProvider,
+    createFakeProvider,
+    getProvider,
+    parseModelSpec,
+    resolveModelChoice,
+    generateText,
+    streamText
+};
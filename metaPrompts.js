@@ -0,0 +1,258 @@
+// Import meta-prompt variant definitions
+const metaPromptConfig = require('./_data/meta_prompts.json');
+const { getGuideContent, formatGuideContext, formatFewShotExamples } = require('./guideRetrieval');
+const { formatPlatformConventions } = require('./platforms');
+const { DEFAULT_LANGUAGE } = require('./languages');
+const { formatConversationContext } = require('./conversationContext');
+
+// =============================================================================
+// META-PROMPT VARIANTS
+// =============================================================================
+
+// Variants are data in _data/meta_prompts.json. Each variant has a strategy per
+// complexity bucket:
+//   instructions  - role and task rules (array of lines)
+//   guide_context - "none", "titles" or "full" retrieved guide entries
+//   few_shot      - include the selected before/after examples
+//   platform_conventions - include the target platform's formatting conventions
+//   output_rules  - formatting rules placed last (array of lines)
+// Prompts that are not in English also get the language block, so the
+// English guidance does not pull the answer into English, and prompts sent
+// with earlier chat turns get the conversation block so they stay follow-ups.
+// Prompts filled from a user template get the template block and the
+// template's own instructions. The user's style preferences come last before
+// the output rules.
+// A variant may define only some buckets; the rest come from the default variant.
+
+const DEFAULT_VARIANT = metaPromptConfig.default_variant;
+
+function joinLines(value) {
+    return Array.isArray(value) ? value.join('\n') : String(value || '');
+}
+
+// Look up a built-in variant by id (null if it does not exist)
+function getVariant(variantId) {
+    const variant = metaPromptConfig.variants[variantId];
+    return variant ? { id: variantId, ...variant } : null;
+}
+
+// List the built-in variants
+function listVariants() {
+    return Object.keys(metaPromptConfig.variants).map(getVariant);
+}
+
+// The strategy a variant uses for a complexity bucket
+function getStrategy(variant, complexity) {
+    const strategies = (variant && variant.strategies) || {};
+    const defaults = metaPromptConfig.variants[DEFAULT_VARIANT].strategies;
+    return strategies[complexity] || defaults[complexity] || defaults.moderate;
+}
+
+// Ask the model to answer in the prompt's language ({ code, name }).
+// Nothing is added for English prompts.
+function formatLanguageRequirement(language) {
+    if (!language || language.code === DEFAULT_LANGUAGE) {
+        return '';
+    }
+    return `${joinLines(metaPromptConfig.language.instructions).replace(/\{\{language\}\}/g, language.name)}\n\n`;
+}
+
+// Appended to the system prompt when a first answer came back in the wrong language
+function formatLanguageReminder(language) {
+    return joinLines(metaPromptConfig.language.reminder).replace(/\{\{language\}\}/g, language.name);
+}
+
+// Show the earlier turns and ask the model to refine the prompt as a follow-up.
+// Nothing is added when there is no conversation.
+function formatConversationRequirement(conversation) {
+    if (!conversation || conversation.length === 0) {
+        return '';
+    }
+    return `${formatConversationContext(conversation)}${joinLines(metaPromptConfig.conversation.instructions)}\n\n`;
+}
+
+// Ask the model to keep a filled template's structure ({ name, instructions }).
+// Nothing is added when the prompt did not come from a template.
+function formatTemplateRequirement(template) {
+    if (!template) {
+        return '';
+    }
+    const { template: templateConfig } = metaPromptConfig;
+    let text = `${joinLines(templateConfig.instructions).replace(/\{\{template\}\}/g, template.name)}\n\n`;
+    if (template.instructions) {
+        text += `${templateConfig.extra_instructions_heading}\n${template.instructions}\n\n`;
+    }
+    return text;
+}
+
+// The user's style preferences (length, tone, format, audience, rules) that
+// the prompt itself does not override. Nothing is added when none apply.
+function formatPreferenceRequirement(preferences) {
+    if (!preferences || Object.keys(preferences).length === 0) {
+        return '';
+    }
+    const { preferences: preferenceConfig } = metaPromptConfig;
+    let text = `${preferenceConfig.heading}\n`;
+
+    ['length', 'tone', 'format'].forEach(key => {
+        if (preferences[key]) {
+            text += `${preferenceConfig[key][preferences[key]]}\n`;
+        }
+    });
+    if (preferences.audience) {
+        text += `${preferenceConfig.audience.replace(/\{\{audience\}\}/g, preferences.audience)}\n`;
+    }
+    if (preferences.rules) {
+        text += `${preferenceConfig.rules_heading}\n`;
+        preferences.rules.forEach(rule => {
+            text += `  - ${rule}\n`;
+        });
+    }
+
+    return `${text}${preferenceConfig.precedence}\n\n`;
+}
+
+// Render a strategy into a system prompt
+function renderStrategy(strategy, { guideContext, fewShotExamples, platform = null, language = null, conversation = [], template = null, preferences = null }) {
+    let systemPrompt = `${joinLines(strategy.instructions)}\n\n`;
+
+    if (strategy.guide_context === 'full') {
+        systemPrompt += formatGuideContext(guideContext);
+    } else if (strategy.guide_context === 'titles') {
+        systemPrompt += formatGuideContext(guideContext, { includeContent: false });
+    }
+
+    if (strategy.few_shot) {
+        systemPrompt += formatFewShotExamples(fewShotExamples);
+    }
+
+    if (strategy.platform_conventions) {
+        systemPrompt += formatPlatformConventions(platform);
+    }
+
+    systemPrompt += formatConversationRequirement(conversation);
+    systemPrompt += formatTemplateRequirement(template);
+    systemPrompt += formatPreferenceRequirement(preferences);
+    systemPrompt += formatLanguageRequirement(language);
+    systemPrompt += joinLines(strategy.output_rules);
+
+    return systemPrompt;
+}
+
+// Build the system prompt for a complexity bucket from a variant
+function buildSystemPrompt({ variant, complexity, guideContext, fewShotExamples, platform = null, language = null, conversation = [], template = null, preferences = null }) {
+    const strategy = getStrategy(variant || getVariant(DEFAULT_VARIANT), complexity);
+    return renderStrategy(strategy, { guideContext, fewShotExamples, platform, language, conversation, template, preferences });
+}
+
+// Build the system prompt for explain mode: the variant's strategy, but the
+// model answers with a JSON object holding the rewrite and a list of changes.
+// Guide titles are always included so each change can name the entry it follows.
+function buildExplainPrompt({ variant, complexity, guideContext, fewShotExamples, platform = null, language = null, conversation = [], template = null, preferences = null }) {
+    const strategy = getStrategy(variant || getVariant(DEFAULT_VARIANT), complexity);
+    return renderStrategy({
+        ...strategy,
+        guide_context: strategy.guide_context === 'none' ? 'titles' : strategy.guide_context,
+        output_rules: metaPromptConfig.explain.output_rules
+    }, { guideContext, fewShotExamples, platform, language, conversation, template, preferences });
+}
+
+// =============================================================================
+// VARIANT STYLES - Several labelled rewrites of one prompt
+// =============================================================================
+
+// A style either carries its own strategy (concise, structured, detailed) or,
+// like "standard", falls back to the complexity strategy of the meta-prompt variant
+const { variant_styles: variantStyles } = metaPromptConfig;
+const MIN_STYLES = 2;
+const MAX_STYLES = 4;
+
+// Resolve a variants request - a count (2-4) or a list of style ids - into
+// style definitions. Returns null when the request is not valid.
+function resolveStyles(selection) {
+    let styleIds;
+
+    if (Number.isInteger(selection)) {
+        if (selection < MIN_STYLES || selection > MAX_STYLES) {
+            return null;
+        }
+        styleIds = variantStyles.order.slice(0, selection);
+    } else if (Array.isArray(selection)) {
+        styleIds = selection;
+    } else {
+        return null;
+    }
+
+    const unique = new Set(styleIds);
+    if (styleIds.length < MIN_STYLES || styleIds.length > MAX_STYLES || unique.size !== styleIds.length) {
+        return null;
+    }
+    if (styleIds.some(id => !variantStyles.styles[id])) {
+        return null;
+    }
+
+    return styleIds.map(id => ({ id, ...variantStyles.styles[id] }));
+}
+
+// Every style id, in the order used when only a count is requested
+function listStyleIds() {
+    return variantStyles.order.slice();
+}
+
+// Build the system prompt for one style. A style with its own strategy sets
+// the length itself, so the length preference only applies to "standard".
+function buildStylePrompt({ style, variant, complexity, guideContext, fewShotExamples, platform = null, language = null, conversation = [], template = null, preferences = null }) {
+    if (!style.strategy) {
+        return buildSystemPrompt({ variant, complexity, guideContext, fewShotExamples, platform, language, conversation, template, preferences });
+    }
+    const { length, ...stylePreferences } = preferences || {};
+    return renderStrategy(style.strategy, { guideContext, fewShotExamples, platform, language, conversation, template, preferences: stylePreferences });
+}
+
+// Build the system prompt that moves a prompt from one platform's conventions
+// to another's. The target guide's structural elements are the conventions to
+// apply; the source guide's are the ones to drop where they conflict.
+function buildTranslationPrompt({ source, target, sourceGuide, targetGuide, antiPatterns = [], language = null }) {
+    const { translation } = metaPromptConfig;
+    const fill = text => text
+        .replace(/\{\{source\}\}/g, source.display_name)
+        .replace(/\{\{target\}\}/g, target.display_name);
+
+    let systemPrompt = `${fill(joinLines(translation.instructions))}\n\n`;
+    systemPrompt += formatPlatformConventions(source, 'SOURCE PLATFORM');
+    systemPrompt += formatPlatformConventions(target, 'TARGET PLATFORM');
+
+    const sourceStructure = getGuideContent(sourceGuide).structural_elements || [];
+    if (sourceStructure.length > 0) {
+        systemPrompt += `${source.display_name.toUpperCase()} STRUCTURE TO DROP WHERE IT CONFLICTS:\n`;
+        sourceStructure.forEach((entry, index) => {
+            systemPrompt += `${index + 1}. ${entry.title}\n`;
+        });
+        systemPrompt += '\n';
+    }
+
+    systemPrompt += formatGuideContext({
+        structural_elements: getGuideContent(targetGuide).structural_elements || [],
+        anti_patterns: antiPatterns
+    });
+
+    systemPrompt += formatLanguageRequirement(language);
+    systemPrompt += fill(joinLines(translation.output_rules));
+
+    return systemPrompt;
+}
+
+module.exports = {
+    DEFAULT_VARIANT,
+    getVariant,
+    listVariants,
+    formatLanguageReminder,
+    buildSystemPrompt,
+    buildExplainPrompt,
+    buildTranslationPrompt,
+    MIN_STYLES,
+    MAX_STYLES,
+    resolveStyles,
+    listStyleIds,
+    buildStylePrompt
+};
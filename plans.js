@@ -0,0 +1,134 @@
+// Import plan definitions
+const planConfig = require('./_data/plans.json');
+
+// =============================================================================
+// PLANS AND QUOTA POLICIES
+// =============================================================================
+
+// Plans are data in _data/plans.json. Each plan defines:
+//   allowance   - credits granted per period (null when unlimited)
+//   period      - "daily" or "monthly"
+//   reset_mode  - "rolling" (period after the last reset) or "calendar"
+//                 (start of the next day/month in the user's timezone)
+//   model       - optional "provider:model" spec used for this plan
+//   unlimited   - skip credit accounting entirely
+
+const DEFAULT_PLAN = planConfig.default_plan;
+// New workspaces have no credits until an admin assigns them a plan
+const DEFAULT_WORKSPACE_PLAN = planConfig.default_workspace_plan;
+const DEFAULT_TIME_ZONE = 'UTC';
+
+// Look up a plan by name, falling back to the default plan
+function getPlan(name) {
+    const planName = planConfig.plans[name] ? name : DEFAULT_PLAN;
+    return { name: planName, ...planConfig.plans[planName] };
+}
+
+// The plan in effect for a user: an unexpired coupon upgrade wins over the base plan
+function resolveUserPlan(user, now = new Date()) {
+    if (user.plan_upgrade && user.plan_upgrade_expires_at && new Date(user.plan_upgrade_expires_at) > now) {
+        return getPlan(user.plan_upgrade);
+    }
+    return getPlan(user.plan);
+}
+
+// List every configured plan
+function listPlans() {
+    return Object.keys(planConfig.plans).map(getPlan);
+}
+
+// Credit cost of an operation such as "enhance.vague" (defaults to 1)
+function getOperationCost(operation) {
+    const cost = planConfig.operation_costs[operation];
+    return Number.isInteger(cost) ? cost : 1;
+}
+
+// Check that a string is an IANA timezone the runtime understands
+function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Calendar date parts of an instant as seen in a timezone
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = Number(value);
+    });
+    return parts;
+}
+
+// Offset of a timezone from UTC at a given instant, in milliseconds
+function getTimeZoneOffset(date, timeZone) {
+    const parts = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// UTC instant of local midnight on a calendar date in a timezone.
+// Date.UTC normalizes overflowing days/months (e.g. month 13).
+function zonedMidnight(year, month, day, timeZone) {
+    const guess = new Date(Date.UTC(year, month - 1, day));
+    const firstPass = new Date(guess.getTime() - getTimeZoneOffset(guess, timeZone));
+    // Re-check once in case the offset differs on the other side of a DST change
+    return new Date(guess.getTime() - getTimeZoneOffset(firstPass, timeZone));
+}
+
+// When the credits of a plan next reset, given the last reset time
+function getNextReset(plan, lastReset, timeZone = DEFAULT_TIME_ZONE) {
+    const last = lastReset ? new Date(lastReset) : new Date();
+    const zone = isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+
+    if (plan.reset_mode === 'calendar') {
+        const parts = getZonedParts(last, zone);
+        return plan.period === 'monthly'
+            ? zonedMidnight(parts.year, parts.month + 1, 1, zone)
+            : zonedMidnight(parts.year, parts.month, parts.day + 1, zone);
+    }
+
+    // Rolling window
+    const next = new Date(last.getTime());
+    if (plan.period === 'monthly') {
+        next.setUTCMonth(next.getUTCMonth() + 1);
+    } else {
+        next.setTime(next.getTime() + 24 * 60 * 60 * 1000);
+    }
+    return next;
+}
+
+// Whether a user's credits are due for a reset
+function isResetDue(plan, lastReset, timeZone = DEFAULT_TIME_ZONE, now = new Date()) {
+    if (!lastReset || plan.unlimited) {
+        return false;
+    }
+    return now >= getNextReset(plan, lastReset, timeZone);
+}
+
+module.exports = {
+    DEFAULT_PLAN,
+    DEFAULT_WORKSPACE_PLAN,
+    DEFAULT_TIME_ZONE,
+    getPlan,
+    resolveUserPlan,
+    listPlans,
+    getOperationCost,
+    isValidTimeZone,
+    getNextReset,
+    isResetDue
+};
@@ -0,0 +1,98 @@
+// Import platform definitions
+const platformConfig = require('./_data/platforms.json');
+
+// =============================================================================
+// PLATFORM REGISTRY
+// =============================================================================
+
+// Platforms are data in _data/platforms.json. Each platform defines:
+//   display_name  - name shown by the extension
+//   guide         - platform name of its guide in the prompt_guides table
+//   aliases       - other names the extension may send (case-insensitive)
+//   sites         - hostnames the extension runs on
+//   default_model - optional "provider:model" spec used to enhance its prompts
+//   formatting    - conventions the enhanced prompt should follow
+
+// Every id, alias, display name, guide name and site -> platform id
+const platformIndex = new Map();
+Object.entries(platformConfig.platforms).forEach(([id, platform]) => {
+    [id, platform.display_name, platform.guide, ...platform.aliases, ...platform.sites]
+        .forEach(name => platformIndex.set(name.toLowerCase(), id));
+});
+
+// Look up a platform by id, alias, display name, guide name or site (null if unknown)
+function getPlatform(name) {
+    if (!name || typeof name !== 'string') {
+        return null;
+    }
+    const id = platformIndex.get(name.trim().toLowerCase());
+    return id ? { id, ...platformConfig.platforms[id] } : null;
+}
+
+// Map a frontend platform name to its guide platform name. Unknown names are
+// returned unchanged so guides stored under other names still resolve.
+function resolvePlatformName(name) {
+    const platform = getPlatform(name);
+    return platform ? platform.guide : name;
+}
+
+// List every registered platform
+function listPlatforms() {
+    return Object.keys(platformConfig.platforms).map(getPlatform);
+}
+
+// Formatting conventions that can be compared between platforms
+const FORMATTING_CONVENTIONS = [
+    { key: 'structure', label: 'Structure' },
+    { key: 'markdown', label: 'Markdown' },
+    { key: 'instruction_placement', label: 'Main instruction' },
+    { key: 'examples', label: 'Examples inside the prompt' }
+];
+
+// Human-readable value of a formatting convention
+function describeConvention(key, value) {
+    if (key === 'markdown') {
+        return value ? 'supported' : 'avoid';
+    }
+    if (key === 'instruction_placement') {
+        return `at the ${value}`;
+    }
+    return String(value).replace(/_/g, ' ');
+}
+
+// Describe a platform's formatting conventions for a meta-prompt
+function formatPlatformConventions(platform, heading = 'TARGET PLATFORM') {
+    if (!platform || !platform.formatting) {
+        return '';
+    }
+
+    const { formatting } = platform;
+    let text = `${heading}: ${platform.display_name}\n`;
+    FORMATTING_CONVENTIONS.forEach(({ key, label }) => {
+        text += `- ${label}: ${describeConvention(key, formatting[key])}\n`;
+    });
+    (formatting.notes || []).forEach(note => {
+        text += `- ${note}\n`;
+    });
+
+    return `${text}\n`;
+}
+
+// Formatting conventions that differ between two platforms
+function compareFormatting(source, target) {
+    return FORMATTING_CONVENTIONS
+        .filter(({ key }) => source.formatting[key] !== target.formatting[key])
+        .map(({ key }) => ({
+            convention: key,
+            from: describeConvention(key, source.formatting[key]),
+            to: describeConvention(key, target.formatting[key])
+        }));
+}
+
+module.exports = {
+    getPlatform,
+    resolvePlatformName,
+    listPlatforms,
+    formatPlatformConventions,
+    compareFormatting
+};
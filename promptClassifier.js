@@ -0,0 +1,236 @@
+// Import classifier thresholds
+const classifierConfig = require('./_data/classifier.json');
+const { detectLanguage, glossPrompt, countWords } = require('./languages');
+const { getLastUserTurn } = require('./conversationContext');
+
+// =============================================================================
+// PROMPT COMPLEXITY DETECTION - Determines enhancement strategy
+// =============================================================================
+
+// The numeric cut-offs of the decision tree live in _data/classifier.json.
+// Callers may override any of them per call, e.g. to try a change against the
+// labelled corpus before committing it.
+const DEFAULT_THRESHOLDS = Object.freeze({ ...classifierConfig.thresholds });
+
+// Merge threshold overrides over the defaults. Returns null when an override
+// is not a known threshold or not a non-negative number.
+function resolveThresholds(overrides = {}) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return null;
+    }
+    const valid = Object.entries(overrides).every(([name, value]) =>
+        Object.prototype.hasOwnProperty.call(DEFAULT_THRESHOLDS, name)
+        && typeof value === 'number' && Number.isFinite(value) && value >= 0
+    );
+    return valid ? { ...DEFAULT_THRESHOLDS, ...overrides } : null;
+}
+
+// Analyze a prompt and return the complexity verdict together with the
+// individual signals and the decision-tree rule that produced it.
+// The detectors are English patterns; prompts in other languages are glossed
+// into English terms first (see languages.js). `conversation` holds earlier
+// chat turns; with them, short messages that refer back are follow-ups.
+function analyzePromptComplexity(userPrompt, thresholds = DEFAULT_THRESHOLDS, language = detectLanguage(userPrompt).code, conversation = []) {
+    const limits = { ...DEFAULT_THRESHOLDS, ...thresholds };
+
+    // =============================================================================
+    // PREPROCESSING - Clean up common patterns before analysis
+    // =============================================================================
+
+    const text = glossPrompt(userPrompt, language);
+
+    // Strip conversational prefixes
+    const conversationalPrefixes = /^(hey|hi|hello|please|can you|could you|would you|i need you to|i want you to|help me|assist me|i need|i want)\s*/i;
+    const cleanedPrompt = text.replace(conversationalPrefixes, '').trim();
+
+    const wordCount = countWords(cleanedPrompt, language);
+    const promptLower = cleanedPrompt.toLowerCase();
+    const originalLower = text.toLowerCase();
+
+    // =============================================================================
+    // EDGE CASE DETECTORS
+    // =============================================================================
+
+    // SHORT BUT CLEAR: "[language/tool] [topic]" pattern (e.g., "python fibonacci", "react hooks")
+    const shortButClearPattern = /^(python|javascript|java|react|node|sql|html|css|typescript|go|rust|git|docker|aws|linux|bash|c\+\+|c#|ruby|php|swift|kotlin)\s+\w+/i;
+    const isShortButClear = shortButClearPattern.test(cleanedPrompt) ||
+        /^(explain|what is|how to|how do i|difference between|compare)\s+\w+/i.test(cleanedPrompt);
+
+    // QUESTION FORMAT: Technical questions are often clear
+    const isTechnicalQuestion = /^(how|what|why|when|where|which|can i|should i)\s+.*(code|function|error|bug|work|use|implement|create)/i.test(cleanedPrompt);
+
+    // FILLER WORD DENSITY: High filler = vague even if long
+    const fillerWords = (originalLower.match(/\b(something|thing|stuff|really|very|just|like|kind of|sort of|basically|actually|maybe|probably|cool|nice|good|great|amazing|awesome)\b/g) || []).length;
+    const fillerDensity = wordCount > 0 ? fillerWords / wordCount : 0;
+    const hasHighFillerDensity = fillerDensity > limits.high_filler_density;
+
+    // MULTI-PART REQUEST: Multiple distinct tasks
+    const multiPartIndicators = (originalLower.match(/\b(and also|and then|also|as well as|plus|additionally)\b/g) || []).length;
+    const hasMultipleTasks = multiPartIndicators >= limits.multi_part_min_indicators
+        || (originalLower.match(/\band\b/g) || []).length >= limits.multi_part_min_and_count;
+
+    // USER CONSTRAINTS: Explicit limits the AI should preserve
+    const hasExplicitConstraints = /(without|don't|do not|don't|no |never|under \d+|less than|at most|maximum|brief|short|concise|simple|basic)/i.test(originalLower);
+
+    // CODE/ERROR CONTEXT: User provided actual code or error message
+    const hasCodeContext = /[{}\[\]();]|function\s*\(|=>|error:|exception:|undefined|null|true|false/i.test(text);
+
+    // FOLLOW-UP: Short message that refers back to the conversation ("now make it faster")
+    const hasConversationContext = conversation.length > 0;
+    const isFollowUp = hasConversationContext && wordCount <= limits.follow_up_max_words &&
+        /\b(it|its|this|that|these|those|them|above|previous|again|instead|same|now|more|less|shorter|longer|faster|simpler|better)\b/.test(originalLower);
+
+    // =============================================================================
+    // DETECTION LOGIC
+    // =============================================================================
+
+    // Indicators of a clear, direct request
+    const hasDirectTask = /(write|create|build|make|generate|code|develop|design|implement|explain|show|give|list|find|fix|debug|convert|translate)/.test(promptLower);
+    const hasSpecificSubject = /(function|program|script|app|website|api|class|method|component|page|form|button|table|list|array|string|number|file|database|server|client)/.test(promptLower);
+    const hasLanguageOrTool = /(python|javascript|java|react|node|sql|html|css|typescript|go|rust|c\+\+|angular|vue|express|django|flask|spring|mongodb|postgres|redis)/.test(promptLower);
+
+    // Indicators of vagueness
+    const isVeryShort = wordCount <= limits.very_short_max_words;
+    const lacksContext = !/(for|using|with|that|which|to|in|on|about|from)/.test(promptLower);
+    const isAmbiguous = /(something|thing|stuff|help|assist|do this|do that)/.test(promptLower) && wordCount <= limits.ambiguous_max_words;
+
+    // Indicators of already detailed prompt
+    const hasMultipleSentences = (text.match(/[.!?]/g) || []).length >= limits.multiple_sentences_min_punctuation;
+    const hasStructure = /(step|first|then|also|include|should|must|requirements?|specifications?|criteria|constraints?)/.test(promptLower);
+    const isLong = wordCount >= limits.long_prompt_min_words;
+
+    // Every signal the decision tree looks at, exposed for /api/analyze
+    const signals = {
+        word_count: wordCount,
+        is_short_but_clear: isShortButClear,
+        is_technical_question: isTechnicalQuestion,
+        filler_word_count: fillerWords,
+        filler_density: Number(fillerDensity.toFixed(2)),
+        has_high_filler_density: hasHighFillerDensity,
+        multi_part_indicators: multiPartIndicators,
+        has_multiple_tasks: hasMultipleTasks,
+        has_explicit_constraints: hasExplicitConstraints,
+        has_code_context: hasCodeContext,
+        has_conversation_context: hasConversationContext,
+        is_follow_up: isFollowUp,
+        has_direct_task: hasDirectTask,
+        has_specific_subject: hasSpecificSubject,
+        has_language_or_tool: hasLanguageOrTool,
+        is_very_short: isVeryShort,
+        lacks_context: lacksContext,
+        is_ambiguous: isAmbiguous,
+        has_multiple_sentences: hasMultipleSentences,
+        has_structure: hasStructure,
+        is_long: isLong
+    };
+
+    const verdict = (complexity, rule) => ({ complexity, rule, signals });
+
+    // =============================================================================
+    // DECISION TREE (order matters!)
+    // =============================================================================
+
+    // FOLLOW-UP: Refine it in the context of the conversation, don't expand it
+    if (isFollowUp) {
+        return verdict('simple', 'follow_up');
+    }
+
+    // EDGE CASE 1: Short but clear technical queries (e.g., "python fibonacci")
+    if (isShortButClear && wordCount >= limits.short_but_clear_min_words && wordCount <= limits.short_but_clear_max_words) {
+        return verdict('simple', 'short_but_clear');
+    }
+
+    // EDGE CASE 2: Technical questions are usually clear
+    if (isTechnicalQuestion && wordCount <= limits.technical_question_max_words) {
+        return verdict('simple', 'technical_question');
+    }
+
+    // EDGE CASE 3: Has code/error context = user is being specific
+    if (hasCodeContext && hasDirectTask) {
+        return verdict('simple', 'code_context');
+    }
+
+    // EDGE CASE 4: Long but full of filler = still vague
+    if (hasHighFillerDensity && !hasSpecificSubject && !hasLanguageOrTool) {
+        return verdict('vague', 'high_filler_density');
+    }
+
+    // EDGE CASE 5: Multi-part requests need moderate expansion
+    if (hasMultipleTasks && wordCount <= limits.multi_part_max_words) {
+        return verdict('moderate', 'multi_part');
+    }
+
+    // EDGE CASE 6: User has explicit constraints - respect them (light touch)
+    if (hasExplicitConstraints && hasDirectTask) {
+        return verdict('simple', 'explicit_constraints'); // Don't add stuff they explicitly don't want
+    }
+
+    // STANDARD: Clear, direct request (task + subject within the word range)
+    if (hasDirectTask && (hasSpecificSubject || hasLanguageOrTool)
+        && wordCount >= limits.clear_request_min_words && wordCount <= limits.clear_request_max_words) {
+        return verdict('simple', 'clear_direct_request');
+    }
+
+    // STANDARD: Already well-structured, just needs polishing
+    if (isLong || (hasMultipleSentences && hasStructure)) {
+        return verdict('detailed', 'already_detailed');
+    }
+
+    // STANDARD: Very short or ambiguous
+    if (isVeryShort || (lacksContext && isAmbiguous)) {
+        return verdict('vague', 'very_short_or_ambiguous');
+    }
+
+    // Default to moderate enhancement
+    return verdict('moderate', 'default');
+}
+
+// Determine the enhancement strategy for a prompt
+function detectPromptComplexity(userPrompt, thresholds = DEFAULT_THRESHOLDS, language = detectLanguage(userPrompt).code, conversation = []) {
+    return analyzePromptComplexity(userPrompt, thresholds, language, conversation).complexity;
+}
+
+// =============================================================================
+// TASK TYPE DETECTION - Routes the prompt to task_specific_guides
+// =============================================================================
+
+// A follow-up without task signals of its own inherits the task type of the
+// last user message in the conversation
+function detectTaskType(userPrompt, language = detectLanguage(userPrompt).code, conversation = []) {
+    const promptLower = glossPrompt(userPrompt, language).toLowerCase();
+
+    // Signals per task type (order breaks ties)
+    const taskTypePatterns = {
+        code_generation: /\b(code|coding|function|script|program|class|method|api|endpoint|component|bug|debug|refactor|compile|regex|algorithm|unit tests?|python|javascript|typescript|java|react|node|html|css|sql|rust|golang|c\+\+|c#)\b/g,
+        data_analysis: /\b(data|dataset|csv|spreadsheet|excel|chart|graph|statistics|statistical|trends?|metrics?|analy[sz]e|analysis|correlation|regression|kpis?|survey results)\b/g,
+        formal_writing: /\b(email|letter|report|proposal|essay|memo|cover letter|resume|cv|press release|announcement|documentation|article|whitepaper|formal|professional|business)\b/g,
+        creative_writing: /\b(story|stories|poem|poetry|lyrics|song|novel|fiction|character|plot|screenplay|creative|haiku|fantasy|fairy tale)\b/g,
+        reasoning_and_analysis: /\b(why|reasoning|logic|puzzle|solve|prove|step by step|pros and cons|trade-?offs?|decide|math|calculate)\b/g
+    };
+
+    let bestType = 'general';
+    let bestScore = 0;
+
+    Object.entries(taskTypePatterns).forEach(([taskType, pattern]) => {
+        const score = (promptLower.match(pattern) || []).length;
+        if (score > bestScore) {
+            bestType = taskType;
+            bestScore = score;
+        }
+    });
+
+    const lastUserTurn = getLastUserTurn(conversation);
+    if (bestType === 'general' && lastUserTurn) {
+        return detectTaskType(lastUserTurn.content);
+    }
+
+    return bestType;
+}
+
+module.exports = {
+    DEFAULT_THRESHOLDS,
+    resolveThresholds,
+    analyzePromptComplexity,
+    detectPromptComplexity,
+    detectTaskType
+};
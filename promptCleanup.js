@@ -0,0 +1,77 @@
+// =============================================================================
+// OUTPUT CLEANUP
+// =============================================================================
+
+// Labels the AI sometimes puts in front of the enhanced prompt
+const ENHANCED_PROMPT_LABELS = [
+    'Refined Prompt:',
+    'Enhanced Prompt:',
+    'Improved Prompt:',
+    "Here's your enhanced prompt:",
+    'Here is your enhanced prompt:'
+];
+
+// Clean up any unwanted prefixes that the AI might add
+function cleanEnhancedPrompt(text) {
+    let cleaned = text.trim();
+    const label = ENHANCED_PROMPT_LABELS.find(candidate => cleaned.toLowerCase().startsWith(candidate.toLowerCase()));
+    if (label) {
+        cleaned = cleaned.slice(label.length);
+    }
+    return cleaned.trim();
+}
+
+// Incremental version of cleanEnhancedPrompt for streamed output.
+// Holds back the first chunks until it is clear whether they form a label,
+// so a prefix split across chunks is still stripped.
+function createPrefixStripper() {
+    let buffer = '';
+    let decided = false;
+    let skippingWhitespace = true;
+
+    const emit = (text) => {
+        if (!skippingWhitespace) {
+            return text;
+        }
+        const trimmed = text.replace(/^\s+/, '');
+        if (trimmed) {
+            skippingWhitespace = false;
+        }
+        return trimmed;
+    };
+
+    return {
+        push(chunk) {
+            if (decided) {
+                return emit(chunk);
+            }
+
+            buffer += chunk;
+            const candidate = buffer.replace(/^\s+/, '');
+            const candidateLower = candidate.toLowerCase();
+            const labels = ENHANCED_PROMPT_LABELS.map(label => label.toLowerCase());
+
+            // Could still turn into a label - wait for more text
+            if (labels.some(label => label.length > candidateLower.length && label.startsWith(candidateLower))) {
+                return '';
+            }
+
+            decided = true;
+            const label = labels.find(candidateLabel => candidateLower.startsWith(candidateLabel));
+            return emit(label ? candidate.slice(label.length) : candidate);
+        },
+        flush() {
+            if (decided) {
+                return '';
+            }
+            decided = true;
+            return emit(buffer);
+        }
+    };
+}
+
+module.exports = {
+    ENHANCED_PROMPT_LABELS,
+    cleanEnhancedPrompt,
+    createPrefixStripper
+};
@@ -0,0 +1,167 @@
+// Import required libraries
+const supabase = require('./supabaseClient');
+
+// =============================================================================
+// PROMPT GUIDE VERSIONS
+// =============================================================================
+
+// Each platform can have several stored guide versions; exactly one is active
+// and served to /api/enhance. Rolling back means activating an older version.
+
+const GUIDE_SUMMARY_COLUMNS = 'id, platform, version, is_active, created_at, updated_at';
+const GUIDE_COLUMNS = `${GUIDE_SUMMARY_COLUMNS}, guide_data`;
+
+// The active guide of a platform (null if the platform has none)
+async function getActiveGuide(platform) {
+    const { data, error } = await supabase
+        .from('prompt_guides')
+        .select(GUIDE_COLUMNS)
+        .eq('platform', platform)
+        .eq('is_active', true)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Failed to fetch active guide: ${error.message}`);
+    }
+
+    return data;
+}
+
+// List stored guide versions without their content, optionally for one platform
+async function listGuides({ platform = null } = {}) {
+    let query = supabase
+        .from('prompt_guides')
+        .select(GUIDE_SUMMARY_COLUMNS)
+        .order('platform', { ascending: true })
+        .order('created_at', { ascending: false });
+
+    if (platform) {
+        query = query.eq('platform', platform);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+        throw new Error(`Failed to fetch guides: ${error.message}`);
+    }
+
+    return data;
+}
+
+// Fetch a single guide version with its content (null if missing)
+async function getGuide(guideId) {
+    const { data, error } = await supabase
+        .from('prompt_guides')
+        .select(GUIDE_COLUMNS)
+        .eq('id', guideId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Failed to fetch guide: ${error.message}`);
+    }
+
+    return data;
+}
+
+// Find a stored version of a platform guide (null if missing)
+async function findGuideVersion(platform, version) {
+    const { data, error } = await supabase
+        .from('prompt_guides')
+        .select(GUIDE_SUMMARY_COLUMNS)
+        .eq('platform', platform)
+        .eq('version', version)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Failed to fetch guide version: ${error.message}`);
+    }
+
+    return data;
+}
+
+// Make a version the active guide of its platform; resolves to the row or null if missing
+async function activateGuide(guideId) {
+    const { data, error } = await supabase.rpc('activate_prompt_guide', { p_guide_id: guideId });
+
+    if (error) {
+        throw new Error(`Failed to activate guide: ${error.message}`);
+    }
+
+    return Array.isArray(data) ? data[0] || null : data;
+}
+
+// Store a new guide version. It becomes active when asked to, or when the
+// platform has no active version yet.
+async function createGuide({ platform, version, guideData, activate = false }) {
+    const { data, error } = await supabase
+        .from('prompt_guides')
+        .insert([
+            {
+                platform: platform,
+                version: version,
+                guide_data: guideData
+            }
+        ])
+        .select(GUIDE_SUMMARY_COLUMNS)
+        .single();
+
+    if (error) {
+        throw new Error(`Failed to create guide: ${error.message}`);
+    }
+
+    if (activate || !(await getActiveGuide(platform))) {
+        return { ...data, ...(await activateGuide(data.id)) };
+    }
+
+    return data;
+}
+
+// Replace the content and/or version label of a stored guide; resolves to the row or null
+async function updateGuide(guideId, { version, guideData }) {
+    const update = { updated_at: new Date().toISOString() };
+    if (version !== undefined) {
+        update.version = version;
+    }
+    if (guideData !== undefined) {
+        update.guide_data = guideData;
+    }
+
+    const { data, error } = await supabase
+        .from('prompt_guides')
+        .update(update)
+        .eq('id', guideId)
+        .select(GUIDE_SUMMARY_COLUMNS)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Failed to update guide: ${error.message}`);
+    }
+
+    return data;
+}
+
+// Delete a stored guide version; resolves to whether anything was deleted
+async function deleteGuide(guideId) {
+    const { data, error } = await supabase
+        .from('prompt_guides')
+        .delete()
+        .eq('id', guideId)
+        .select('id');
+
+    if (error) {
+        throw new Error(`Failed to delete guide: ${error.message}`);
+    }
+
+    return data.length > 0;
+}
+
+module.exports = {
+    getActiveGuide,
+    listGuides,
+    getGuide,
+    findGuideVersion,
+    activateGuide,
+    createGuide,
+    updateGuide,
+    deleteGuide
+};
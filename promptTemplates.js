@@ -0,0 +1,319 @@
+// Import required libraries
+const supabase = require('./supabaseClient');
+const { getPlatform } = require('./platforms');
+
+// =============================================================================
+// PROMPT TEMPLATES
+// =============================================================================
+
+// A template is a recurring prompt shape with {{placeholders}}. The reserved
+// {{input}} placeholder receives the short text the user types; the others are
+// filled from request variables or, failing that, by the model from the input.
+// A template is visible to its owner, to every user once published, and to
+// the members of the workspace it is shared with.
+
+const TEMPLATE_COLUMNS = 'id, user_id, workspace_id, name, description, body, platform, instructions, is_published, created_at, updated_at';
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z][\w-]*)\s*\}\}/g;
+const INPUT_PLACEHOLDER = 'input';
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_BODY_LENGTH = 8000;
+const MAX_INSTRUCTIONS_LENGTH = 2000;
+const MAX_VARIABLE_LENGTH = 2000;
+
+const TEMPLATE_FIELDS = ['name', 'description', 'body', 'platform', 'instructions', 'is_published', 'workspace_id'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Placeholder names in order of first appearance
+function extractPlaceholders(body) {
+    const names = [];
+    for (const match of String(body).matchAll(PLACEHOLDER_PATTERN)) {
+        if (!names.includes(match[1])) {
+            names.push(match[1]);
+        }
+    }
+    return names;
+}
+
+// Check template fields from a request body. With `partial`, missing required
+// fields are allowed (updates). Returns a list of error messages.
+function validateTemplate(fields, { partial = false } = {}) {
+    const errors = [];
+    const isText = (value, max) => typeof value === 'string' && value.trim().length > 0 && value.length <= max;
+    const isOptionalText = (value, max) => value === null || (typeof value === 'string' && value.length <= max);
+
+    Object.keys(fields).forEach(key => {
+        if (!TEMPLATE_FIELDS.includes(key)) {
+            errors.push(`Unknown field "${key}"`);
+        }
+    });
+
+    if (fields.name !== undefined ? !isText(fields.name, MAX_NAME_LENGTH) : !partial) {
+        errors.push(`name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+    }
+    if (fields.body !== undefined ? !isText(fields.body, MAX_BODY_LENGTH) : !partial) {
+        errors.push(`body must be a non-empty string of at most ${MAX_BODY_LENGTH} characters`);
+    }
+    if (fields.platform !== undefined ? !getPlatform(fields.platform) : !partial) {
+        errors.push('platform must be a supported platform (see GET /api/platforms)');
+    }
+    if (fields.description !== undefined && !isOptionalText(fields.description, MAX_DESCRIPTION_LENGTH)) {
+        errors.push(`description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    if (fields.instructions !== undefined && !isOptionalText(fields.instructions, MAX_INSTRUCTIONS_LENGTH)) {
+        errors.push(`instructions must be a string of at most ${MAX_INSTRUCTIONS_LENGTH} characters`);
+    }
+    if (fields.is_published !== undefined && typeof fields.is_published !== 'boolean') {
+        errors.push('is_published must be true or false');
+    }
+    if (fields.workspace_id !== undefined && fields.workspace_id !== null
+        && !(typeof fields.workspace_id === 'string' && UUID_PATTERN.test(fields.workspace_id))) {
+        errors.push('workspace_id must be a workspace id or null');
+    }
+
+    return errors;
+}
+
+// Check the variables sent with a template enhancement: an object of strings
+// naming placeholders of the template. Returns an error message or null.
+function validateTemplateVariables(template, variables) {
+    if (variables === undefined) {
+        return null;
+    }
+    if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+        return 'variables must be an object of placeholder values';
+    }
+
+    const placeholders = extractPlaceholders(template.body).filter(name => name !== INPUT_PLACEHOLDER);
+    for (const [name, value] of Object.entries(variables)) {
+        if (!placeholders.includes(name)) {
+            return `"${name}" is not a placeholder of this template. Placeholders: ${placeholders.join(', ') || 'none'}`;
+        }
+        if (typeof value !== 'string' || value.length > MAX_VARIABLE_LENGTH) {
+            return `The value of "${name}" must be a string of at most ${MAX_VARIABLE_LENGTH} characters`;
+        }
+    }
+    return null;
+}
+
+// Fill a template from the user's input and variables. Placeholders without a
+// value stay visible as [name] so the model can fill them from the input.
+// A template without {{input}} gets the input appended.
+function fillTemplate(template, input, variables = {}) {
+    const values = { ...variables, [INPUT_PLACEHOLDER]: input };
+    const unfilled = [];
+
+    let text = template.body.replace(PLACEHOLDER_PATTERN, (match, name) => {
+        const value = values[name];
+        if (typeof value === 'string' && value.trim()) {
+            return value.trim();
+        }
+        if (!unfilled.includes(name)) {
+            unfilled.push(name);
+        }
+        return `[${name}]`;
+    });
+
+    if (!extractPlaceholders(template.body).includes(INPUT_PLACEHOLDER)) {
+        text = `${text.trim()}\n\n${input}`;
+    }
+
+    return { text: text.trim(), unfilled };
+}
+
+// Whether a user may read and enhance with a template, given the ids of the
+// workspaces the user belongs to
+function canUseTemplate(template, userId, workspaceIds = []) {
+    return Boolean(template) && (
+        template.user_id === userId
+        || template.is_published
+        || (Boolean(template.workspace_id) && workspaceIds.includes(template.workspace_id))
+    );
+}
+
+// Row as returned to a user - owners are not revealed to other users
+function presentTemplate(template, userId) {
+    const { user_id: ownerId, ...fields } = template;
+    return {
+        ...fields,
+        placeholders: extractPlaceholders(template.body),
+        is_owner: ownerId === userId
+    };
+}
+
+// Templates store the platform id, whatever name the request used
+function toPlatformId(name) {
+    const platform = getPlatform(name);
+    return platform ? platform.id : name;
+}
+
+// Normalize request fields into column values
+function toColumns(fields) {
+    const columns = {};
+    TEMPLATE_FIELDS.forEach(key => {
+        if (fields[key] !== undefined) {
+            columns[key] = typeof fields[key] === 'string' && key !== 'body' ? fields[key].trim() : fields[key];
+        }
+    });
+    if (columns.platform) {
+        columns.platform = toPlatformId(columns.platform);
+    }
+    return columns;
+}
+
+// List a user's own templates, newest first
+async function listTemplates(userId, { platform = null } = {}) {
+    let query = supabase
+        .from('prompt_templates')
+        .select(TEMPLATE_COLUMNS)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+
+    if (platform) {
+        query = query.eq('platform', toPlatformId(platform));
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+        throw new Error(`Failed to fetch templates: ${error.message}`);
+    }
+
+    return data;
+}
+
+// List templates published by any user, newest first
+async function listPublishedTemplates({ platform = null, limit = 50 } = {}) {
+    let query = supabase
+        .from('prompt_templates')
+        .select(TEMPLATE_COLUMNS)
+        .eq('is_published', true)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+    if (platform) {
+        query = query.eq('platform', toPlatformId(platform));
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+        throw new Error(`Failed to fetch published templates: ${error.message}`);
+    }
+
+    return data;
+}
+
+// List the templates shared with a workspace, newest first
+async function listWorkspaceTemplates(workspaceId) {
+    const { data, error } = await supabase
+        .from('prompt_templates')
+        .select(TEMPLATE_COLUMNS)
+        .eq('workspace_id', workspaceId)
+        .order('created_at', { ascending: false });
+
+    if (error) {
+        throw new Error(`Failed to fetch workspace templates: ${error.message}`);
+    }
+
+    return data;
+}
+
+// Fetch a single template (null if missing) - callers check canUseTemplate
+async function getTemplate(templateId) {
+    const { data, error } = await supabase
+        .from('prompt_templates')
+        .select(TEMPLATE_COLUMNS)
+        .eq('id', templateId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Failed to fetch template: ${error.message}`);
+    }
+
+    return data;
+}
+
+// Find one of the user's templates by name, ignoring case (null if missing)
+async function findTemplateByName(userId, name) {
+    const { data, error } = await supabase
+        .from('prompt_templates')
+        .select(TEMPLATE_COLUMNS)
+        .eq('user_id', userId)
+        .ilike('name', name.trim().replace(/[%_\\]/g, '\\$&'));
+
+    if (error) {
+        throw new Error(`Failed to fetch template: ${error.message}`);
+    }
+
+    return data[0] || null;
+}
+
+// Store a new template and return it
+async function createTemplate(userId, fields) {
+    const { data, error } = await supabase
+        .from('prompt_templates')
+        .insert([{ ...toColumns(fields), user_id: userId }])
+        .select(TEMPLATE_COLUMNS)
+        .single();
+
+    if (error) {
+        throw new Error(`Failed to create template: ${error.message}`);
+    }
+
+    return data;
+}
+
+// Update one of the user's templates; resolves to the updated row or null
+async function updateTemplate(userId, templateId, fields) {
+    const { data, error } = await supabase
+        .from('prompt_templates')
+        .update({ ...toColumns(fields), updated_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .eq('id', templateId)
+        .select(TEMPLATE_COLUMNS)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Failed to update template: ${error.message}`);
+    }
+
+    return data;
+}
+
+// Delete one of the user's templates; resolves to whether anything was deleted
+async function deleteTemplate(userId, templateId) {
+    const { data, error } = await supabase
+        .from('prompt_templates')
+        .delete()
+        .eq('user_id', userId)
+        .eq('id', templateId)
+        .select('id');
+
+    if (error) {
+        throw new Error(`Failed to delete template: ${error.message}`);
+    }
+
+    return data.length > 0;
+}
+
+module.exports = {
+    INPUT_PLACEHOLDER,
+    extractPlaceholders,
+    validateTemplate,
+    validateTemplateVariables,
+    fillTemplate,
+    canUseTemplate,
+    presentTemplate,
+    listTemplates,
+    listPublishedTemplates,
+    listWorkspaceTemplates,
+    getTemplate,
+    findTemplateByName,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate
+};
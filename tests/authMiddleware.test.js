@@ -0,0 +1,113 @@
+// Import required modules
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The Supabase client is created on import; token lookups are mocked below
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+process.env.AUTH_MODE = 'local';
+delete process.env.NODE_ENV;
+
+const supabase = require('../supabaseClient');
+const { getBearerToken, verifyAccessToken, requireAuth } = require('../authMiddleware');
+
+// =============================================================================
+// AUTHENTICATION MIDDLEWARE - Token verification
+// =============================================================================
+
+const supabaseUser = { id: 'user-1', email: 'ada@example.com', user_metadata: {} };
+
+// Minimal stand-in for an Express response
+function createResponse() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+// Run requireAuth and report the response and whether next() was called
+async function runRequireAuth(req) {
+    const res = createResponse();
+    let nextCalled = false;
+    await requireAuth({ body: {}, ...req }, res, () => {
+        nextCalled = true;
+    });
+    return { res, nextCalled };
+}
+
+// Resolve "good-token" to supabaseUser and reject everything else
+function mockGetUser(t) {
+    return t.mock.method(supabase.auth, 'getUser', async (token) => token === 'good-token'
+        ? { data: { user: supabaseUser }, error: null }
+        : { data: { user: null }, error: new Error('invalid JWT') });
+}
+
+test('getBearerToken reads the Authorization header', () => {
+    assert.equal(getBearerToken({ headers: { authorization: 'Bearer abc.def' } }), 'abc.def');
+    assert.equal(getBearerToken({ headers: { authorization: 'bearer   abc ' } }), 'abc');
+    assert.equal(getBearerToken({ headers: { authorization: 'Basic abc' } }), null);
+    assert.equal(getBearerToken({ headers: {} }), null);
+});
+
+test('verifyAccessToken maps Supabase users and rejects invalid tokens', async (t) => {
+    mockGetUser(t);
+
+    assert.deepEqual(await verifyAccessToken('good-token'), { id: 'user-1', email: 'ada@example.com', name: 'ada' });
+    assert.equal(await verifyAccessToken('bad-token'), null);
+});
+
+test('verifyAccessToken accepts local tokens in local auth mode', async (t) => {
+    const getUser = mockGetUser(t);
+
+    assert.deepEqual(await verifyAccessToken('local:user-2'), { id: 'user-2', email: 'user-2@local.test', name: 'Local User' });
+    assert.equal(await verifyAccessToken('local:'), null);
+    assert.equal(getUser.mock.callCount(), 0);
+});
+
+test('requireAuth rejects missing and invalid tokens', async (t) => {
+    mockGetUser(t);
+
+    const missing = await runRequireAuth({ headers: {} });
+    assert.equal(missing.res.statusCode, 401);
+    assert.equal(missing.nextCalled, false);
+
+    const invalid = await runRequireAuth({ headers: { authorization: 'Bearer bad-token' } });
+    assert.equal(invalid.res.statusCode, 401);
+    assert.equal(invalid.nextCalled, false);
+});
+
+test('requireAuth only tolerates a body userId that matches the token', async (t) => {
+    mockGetUser(t);
+    const headers = { authorization: 'Bearer good-token' };
+
+    const mismatch = await runRequireAuth({ headers, body: { userId: 'someone-else' } });
+    assert.equal(mismatch.res.statusCode, 403);
+    assert.equal(mismatch.nextCalled, false);
+
+    const req = { headers, body: { userId: 'user-1' } };
+    const res = createResponse();
+    let nextCalled = false;
+    await requireAuth(req, res, () => {
+        nextCalled = true;
+    });
+    assert.equal(nextCalled, true);
+    assert.equal(req.user.id, 'user-1');
+});
+
+test('requireAuth answers 500 when verification fails unexpectedly', async (t) => {
+    t.mock.method(supabase.auth, 'getUser', async () => {
+        throw new Error('network down');
+    });
+
+    const { res, nextCalled } = await runRequireAuth({ headers: { authorization: 'Bearer good-token' } });
+    assert.equal(res.statusCode, 500);
+    assert.equal(nextCalled, false);
+});
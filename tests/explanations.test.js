@@ -0,0 +1,73 @@
+// Import required modules
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseExplainedEnhancement, buildExplanation } = require('../explanations');
+
+// =============================================================================
+// EXPLAINED ENHANCEMENTS
+// =============================================================================
+
+test('parses a bare JSON reply', () => {
+    const parsed = parseExplainedEnhancement(JSON.stringify({
+        enhanced_prompt: 'Write a haiku about autumn.',
+        changes: [{ change: ' Added a form ', reason: 'Be specific', guide_entry: 'Be Specific' }]
+    }));
+    assert.deepEqual(parsed, {
+        enhancedPrompt: 'Write a haiku about autumn.',
+        changes: [{ change: 'Added a form', reason: 'Be specific', guide_entry: 'Be Specific' }]
+    });
+});
+
+test('parses JSON wrapped in a code fence or prose', () => {
+    const fenced = '```json\n{"enhanced_prompt": "A", "changes": []}\n```';
+    const wrapped = 'Here you go: {"enhanced_prompt": "B"} Hope it helps!';
+    assert.equal(parseExplainedEnhancement(fenced).enhancedPrompt, 'A');
+    assert.equal(parseExplainedEnhancement(wrapped).enhancedPrompt, 'B');
+    assert.deepEqual(parseExplainedEnhancement(wrapped).changes, []);
+});
+
+test('drops malformed change items and keeps at most eight', () => {
+    const changes = [null, { reason: 'no change' }, { change: '  ' }, ...Array.from({ length: 10 }, (_, index) => ({ change: `c${index}` }))];
+    const parsed = parseExplainedEnhancement(JSON.stringify({ enhanced_prompt: 'X', changes }));
+    assert.equal(parsed.changes.length, 8);
+    assert.deepEqual(parsed.changes[0], { change: 'c0', reason: '', guide_entry: null });
+});
+
+test('rejects replies without a usable enhanced prompt', () => {
+    assert.equal(parseExplainedEnhancement('not json at all'), null);
+    assert.equal(parseExplainedEnhancement('[1, 2]'), null);
+    assert.equal(parseExplainedEnhancement('{"enhanced_prompt": "   "}'), null);
+    assert.equal(parseExplainedEnhancement('{"changes": []}'), null);
+});
+
+test('buildExplanation keeps only citations of guide entries given to the model', () => {
+    const explanation = buildExplanation({
+        analysis: { complexity: 'vague', rule: 'short_prompt', signals: { word_count: 2 } },
+        guideContext: { principles: [{ title: 'Be Specific', matched: true }] },
+        detectedAntiPatterns: [],
+        changes: [
+            { change: 'Added detail', reason: '', guide_entry: 'Be Specific' },
+            { change: 'Added tone', reason: '', guide_entry: 'Invented Entry' }
+        ],
+        originalPrompt: 'write poem',
+        enhancedPrompt: 'write a short poem'
+    });
+    assert.deepEqual(explanation.changes.map(item => item.guide_entry), ['Be Specific', null]);
+    assert.deepEqual(explanation.guide_entries.principles, [{ title: 'Be Specific', matched: true, cited: true }]);
+    assert.equal(explanation.rationale_available, true);
+    assert.deepEqual(explanation.diff.summary, { equal: 2, insert: 2, delete: 0 });
+});
+
+test('buildExplanation without a rationale still reports the diff', () => {
+    const explanation = buildExplanation({
+        analysis: { complexity: 'simple', rule: 'default', signals: {} },
+        guideContext: {},
+        detectedAntiPatterns: null,
+        changes: null,
+        originalPrompt: 'a b',
+        enhancedPrompt: 'a c'
+    });
+    assert.equal(explanation.rationale_available, false);
+    assert.deepEqual(explanation.changes, []);
+    assert.deepEqual(explanation.diff.summary, { equal: 1, insert: 1, delete: 1 });
+});
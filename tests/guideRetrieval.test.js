@@ -0,0 +1,105 @@
+// Import required modules
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    normalizeText,
+    containsTerm,
+    getGuideContent,
+    rankEntries,
+    matchAntiPatterns,
+    retrieveGuideContext,
+    selectFewShotExamples,
+    formatGuideContext
+} = require('../guideRetrieval');
+
+// =============================================================================
+// GUIDE RETRIEVAL
+// =============================================================================
+
+const guide = {
+    principles: [
+        { title: 'Be Specific', content: 'Say exactly what you want.', keywords: ['specific', 'detail'] },
+        { title: 'Give Context', content: 'Explain the background.', keywords: ['context'], detection_patterns: ['for my team'] },
+        { title: 'Set the Format', content: 'Name the output format.', keywords: ['format', 'table'] }
+    ],
+    structural_elements: [
+        { title: 'Sections', content: 'Use headings.', keywords: ['report'] }
+    ],
+    anti_patterns: [
+        { title: 'Vague Ask', content: 'Avoid vague asks.', keywords: ['something'], detection_patterns: ['make it better'] }
+    ],
+    task_specific_guides: {
+        code_generation: [
+            {
+                title: 'Name the Language',
+                content: 'Say which language to use.',
+                keywords: ['python', 'function'],
+                example: { before: 'python function to sort', after: 'Write a Python 3 function that sorts a list of integers.' }
+            }
+        ],
+        data_analysis: [
+            { title: 'Describe the Data', content: 'Say what the columns mean.', keywords: ['csv'] }
+        ]
+    }
+};
+
+test('normalizeText lowercases, straightens quotes and collapses whitespace', () => {
+    assert.equal(normalizeText('  It’s  “Fine”\n'), 'it\'s "fine"');
+});
+
+test('containsTerm matches whole words only', () => {
+    assert.equal(containsTerm('analyse the data now', 'data'), true);
+    assert.equal(containsTerm('analyse a datação', 'data'), false);
+    assert.equal(containsTerm('make it better please', 'Make it Better'), true);
+    assert.equal(containsTerm('anything', ''), false);
+});
+
+test('getGuideContent accepts wrapped and raw guides', () => {
+    assert.equal(getGuideContent({ guide }), guide);
+    assert.equal(getGuideContent(guide), guide);
+    assert.deepEqual(getGuideContent(null), {});
+});
+
+test('rankEntries weighs detection patterns above keywords and keeps guide order on ties', () => {
+    const ranked = rankEntries('a specific table for my team', guide.principles);
+    assert.deepEqual(ranked.map(result => [result.entry.title, result.score]), [
+        ['Give Context', 3],
+        ['Be Specific', 1],
+        ['Set the Format', 1]
+    ]);
+});
+
+test('matchAntiPatterns needs a detection pattern, not just a keyword', () => {
+    assert.deepEqual(matchAntiPatterns('make it better', guide).map(entry => entry.title), ['Vague Ask']);
+    assert.deepEqual(matchAntiPatterns('write something', guide), []);
+});
+
+test('retrieveGuideContext respects the limits per complexity', () => {
+    const simple = retrieveGuideContext('a specific report', guide, 'simple', 'code_generation');
+    assert.deepEqual(Object.values(simple).map(entries => entries.length), [0, 0, 0, 0]);
+
+    const vague = retrieveGuideContext('a specific report', guide, 'vague', 'general');
+    assert.deepEqual(vague.principles.map(entry => entry.title), ['Be Specific']);
+    assert.deepEqual(vague.structural_elements.map(entry => entry.title), ['Sections']);
+    assert.deepEqual(vague.task_guidance, []);
+});
+
+test('retrieveGuideContext falls back to leading principles and related task guides', () => {
+    const context = retrieveGuideContext('hello', guide, 'moderate', 'reasoning_and_analysis');
+    assert.deepEqual(context.principles.map(entry => [entry.title, entry.matched]), [['Be Specific', false], ['Give Context', false]]);
+    assert.deepEqual(context.task_guidance.map(entry => entry.title), ['Describe the Data']);
+});
+
+test('selectFewShotExamples only picks related examples within the budget', () => {
+    assert.deepEqual(selectFewShotExamples('python function to reverse a list', guide, 'code_generation', 'simple'), []);
+    assert.deepEqual(selectFewShotExamples('plan my holiday', guide, 'general', 'vague'), []);
+
+    const examples = selectFewShotExamples('python function to reverse a list', guide, 'code_generation', 'vague');
+    assert.deepEqual(examples.map(example => [example.title, example.task_type]), [['Name the Language', 'code_generation']]);
+});
+
+test('formatGuideContext renders non-empty sections', () => {
+    const context = { principles: [{ title: 'Be Specific', content: 'Say exactly what you want.' }], anti_patterns: [] };
+    assert.equal(formatGuideContext(context), 'KEY PRINCIPLES TO APPLY:\n1. Be Specific: Say exactly what you want.\n\n');
+    assert.equal(formatGuideContext(context, { includeContent: false }), 'KEY PRINCIPLES TO APPLY:\n1. Be Specific\n\n');
+});
@@ -0,0 +1,62 @@
+// Import required modules
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectLanguage, matchesLanguage, glossPrompt, countWords } = require('../languages');
+
+// =============================================================================
+// LANGUAGES - Detection and glossing
+// =============================================================================
+
+test('detectLanguage tells Latin-script languages apart by their stopwords', () => {
+    assert.equal(detectLanguage('Escribe un ensayo sobre la historia de España, por favor').code, 'es');
+    assert.equal(detectLanguage('Schreibe bitte einen kurzen Text über die Geschichte der Stadt').code, 'de');
+
+    const english = detectLanguage('write a short essay about the history of London');
+    assert.equal(english.code, 'en');
+    assert.equal(english.reliable, true);
+});
+
+test('detectLanguage recognises other scripts', () => {
+    assert.equal(detectLanguage('Напиши короткое эссе об истории России').code, 'ru');
+    assert.equal(detectLanguage('कृपया मेरे लिए एक छोटी कहानी लिखो').code, 'hi');
+    assert.equal(detectLanguage('写一篇关于北京历史的短文').code, 'zh');
+    assert.equal(detectLanguage('東京の歴史について短いエッセイを書いてください').code, 'ja');
+    assert.equal(detectLanguage('서울의 역사에 대한 짧은 에세이를 써 주세요').code, 'ko');
+});
+
+test('detectLanguage falls back to English without evidence', () => {
+    assert.deepEqual(detectLanguage(''), { code: 'en', name: 'English', reliable: false, score: 0 });
+    assert.equal(detectLanguage('ok').reliable, false);
+});
+
+test('detectLanguage ignores code and quoted text', () => {
+    assert.equal(detectLanguage('Explain this code: ```\nconst que = los.de(las, el); // para la base de datos\n```').code, 'en');
+    assert.equal(detectLanguage('Fix `para_los_que` and `de_la_base` in utils.py').code, 'en');
+    assert.equal(detectLanguage('Translate "Escribe un ensayo sobre la historia de España" into English').code, 'en');
+});
+
+test('matchesLanguage only rejects text reliably in another language', () => {
+    assert.equal(matchesLanguage('ok', 'de'), true);
+    assert.equal(matchesLanguage('Escribe un ensayo sobre la historia de España, por favor', 'es'), true);
+    assert.equal(matchesLanguage('Escribe un ensayo sobre la historia de España, por favor', 'en'), false);
+});
+
+test('glossPrompt maps glossary phrases and punctuation onto English', () => {
+    assert.equal(glossPrompt('¿Puedes escribir un ensayo paso a paso?', 'es'), 'can you write un essay step by step?');
+    assert.equal(glossPrompt('कृपया एक कहानी लिखो।', 'hi'), 'please एक story write.');
+    assert.equal(glossPrompt('Keep It', 'en'), 'Keep It');
+    assert.equal(glossPrompt('Keep It', 'xx'), 'Keep It');
+});
+
+test('glossPrompt finds glossary terms in text written without spaces', () => {
+    assert.equal(glossPrompt('请写代码。', 'zh'), 'please write code.');
+    assert.equal(glossPrompt('用Python写一个反转列表的函数', 'zh'), '用python write 一个反转 list 的 function');
+    assert.equal(glossPrompt('リモートワークについてのブログ記事を書いてください', 'ja'), 'リモートワーク about のブログ article を write please');
+    // Korean particles attach to the word they follow ("근무에 대한")
+    assert.equal(glossPrompt('원격 근무에 대한 블로그 글을 써 주세요', 'ko'), '원격 근무 about 블로그 글을 write');
+});
+
+test('countWords estimates words for scripts written without spaces', () => {
+    assert.equal(countWords('write a short essay'), 4);
+    assert.equal(countWords('写一篇关于北京历史的短文', 'zh'), 8);
+});
@@ -0,0 +1,143 @@
+// Import required modules
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Provider settings are read when the module loads
+process.env.LLM_PROVIDER = 'fake';
+process.env.LLM_PLATFORM_MODELS = JSON.stringify({ 'Claude Sonnet 4': 'anthropic:claude-test' });
+delete process.env.LLM_MODEL;
+delete process.env.FAKE_LLM_RESPONSE;
+process.env.LLM_TIMEOUT_MS = '50';
+
+const {
+    DEFAULT_MODELS,
+    createOpenAICompatibleProvider,
+    createAnthropicProvider,
+    getProvider,
+    parseModelSpec,
+    resolveModelChoice,
+    generateText,
+    streamText
+} = require('../llmProviders');
+
+// =============================================================================
+// LLM PROVIDERS - Model selection and provider dispatch
+// =============================================================================
+
+// Minimal stand-in for a fetch Response
+function jsonResponse(status, body) {
+    return { ok: status >= 200 && status < 300, status: status, json: async () => body };
+}
+
+// A request that only ends when its signal aborts it. The timeout timer does
+// not keep the process alive, so a fallback timer does until the abort.
+function waitForAbort(signal) {
+    return new Promise((resolve, reject) => {
+        const fallback = setTimeout(() => reject(new Error('request was not aborted')), 1000);
+        signal.addEventListener('abort', () => {
+            clearTimeout(fallback);
+            reject(signal.reason);
+        });
+    });
+}
+
+test('parseModelSpec splits known provider prefixes only', () => {
+    assert.deepEqual(parseModelSpec('anthropic:claude-test'), { provider: 'anthropic', model: 'claude-test' });
+    assert.deepEqual(parseModelSpec('llama3:8b'), { provider: 'fake', model: 'llama3:8b' });
+    assert.equal(parseModelSpec(''), null);
+});
+
+test('resolveModelChoice prefers the override, then the platform, then LLM_MODEL', (t) => {
+    t.after(() => delete process.env.LLM_MODEL);
+
+    assert.deepEqual(resolveModelChoice({}), { provider: 'fake', model: DEFAULT_MODELS.fake });
+    assert.deepEqual(resolveModelChoice({ platform: 'Claude Sonnet 4' }), { provider: 'anthropic', model: 'claude-test' });
+
+    process.env.LLM_MODEL = 'openai:gpt-test';
+    assert.deepEqual(resolveModelChoice({ platform: 'ChatGPT' }), { provider: 'openai', model: 'gpt-test' });
+    assert.deepEqual(resolveModelChoice({ platform: 'Claude Sonnet 4' }), { provider: 'anthropic', model: 'claude-test' });
+    assert.deepEqual(resolveModelChoice({ platform: 'Claude Sonnet 4', override: 'gemini:' }), { provider: 'gemini', model: DEFAULT_MODELS.gemini });
+});
+
+test('getProvider rejects unknown providers and reuses instances', () => {
+    assert.throws(() => getProvider('nope'), /Unknown LLM provider: nope/);
+    assert.equal(getProvider('fake'), getProvider('fake'));
+});
+
+test('generateText dispatches to the chosen provider', async () => {
+    const result = await generateText({ systemPrompt: 'system', prompt: '  write   a poem ' });
+    assert.deepEqual(result, { text: 'write a poem', provider: 'fake', model: DEFAULT_MODELS.fake });
+});
+
+test('the OpenAI-compatible provider posts chat completions', async (t) => {
+    const calls = [];
+    t.mock.method(global, 'fetch', async (url, options) => {
+        calls.push({ url, options });
+        return jsonResponse(200, { choices: [{ message: { content: 'enhanced' } }] });
+    });
+
+    const provider = createOpenAICompatibleProvider({ apiKey: '', baseUrl: 'http://localhost:11434/v1/' });
+    assert.equal(await provider.generate({ systemPrompt: 'system', prompt: 'hi', model: 'llama3' }), 'enhanced');
+
+    assert.equal(calls[0].url, 'http://localhost:11434/v1/chat/completions');
+    assert.equal(calls[0].options.headers.Authorization, undefined);
+    assert.deepEqual(JSON.parse(calls[0].options.body).messages, [
+        { role: 'system', content: 'system' },
+        { role: 'user', content: 'hi' }
+    ]);
+});
+
+test('the Anthropic provider joins text blocks and surfaces API errors', async (t) => {
+    const fetchMock = t.mock.method(global, 'fetch', async () => jsonResponse(200, {
+        content: [{ type: 'text', text: 'one ' }, { type: 'tool_use' }, { type: 'text', text: 'two' }]
+    }));
+
+    const provider = createAnthropicProvider({ apiKey: 'key', baseUrl: 'https://example.test/v1' });
+    assert.equal(await provider.generate({ systemPrompt: 'system', prompt: 'hi', model: 'claude-test' }), 'one two');
+    assert.equal(fetchMock.mock.calls[0].arguments[1].headers['x-api-key'], 'key');
+
+    fetchMock.mock.mockImplementation(async () => jsonResponse(429, { error: { message: 'Rate limited' } }));
+    await assert.rejects(provider.generate({ systemPrompt: 'system', prompt: 'hi', model: 'claude-test' }), /Rate limited/);
+});
+
+test('generateText fails with a provider error when the request times out', async (t) => {
+    const fetchMock = t.mock.method(global, 'fetch', async (url, options) => waitForAbort(options.signal));
+
+    await assert.rejects(
+        generateText({ systemPrompt: 'system', prompt: 'hi', override: 'openai:gpt-test' }),
+        { message: 'openai request timed out after 50 ms' }
+    );
+    assert.equal(fetchMock.mock.calls[0].arguments[1].signal.aborted, true);
+});
+
+test('streamText times out a stream that stops sending', async (t) => {
+    t.mock.method(global, 'fetch', async (url, options) => ({
+        ok: true,
+        status: 200,
+        body: (async function* () {
+            yield new TextEncoder().encode('data: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Hel"}}\n\n');
+            await waitForAbort(options.signal);
+        })()
+    }));
+
+    const chunks = [];
+    await assert.rejects(async () => {
+        for await (const chunk of streamText({ systemPrompt: 'system', prompt: 'hi', override: 'anthropic:claude-test' })) {
+            chunks.push(chunk);
+        }
+    }, { message: 'anthropic request timed out after 50 ms' });
+    assert.deepEqual(chunks, ['Hel']);
+});
+
+test('a caller signal cancels a stream without reporting a timeout', async () => {
+    const controller = new AbortController();
+    const chunks = [];
+
+    await assert.rejects(async () => {
+        for await (const chunk of streamText({ systemPrompt: 'system', prompt: 'one two three', signal: controller.signal })) {
+            chunks.push(chunk);
+            controller.abort();
+        }
+    }, { name: 'AbortError' });
+    assert.deepEqual(chunks, ['one ']);
+});
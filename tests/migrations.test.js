@@ -0,0 +1,192 @@
+// Import required modules
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+
+// =============================================================================
+// MIGRATIONS - SQL functions run against an in-memory Postgres
+// =============================================================================
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '_data', 'migrations');
+
+// Roles and tables that Supabase already provides before the migrations run
+const BASE_SCHEMA = `
+    create role anon;
+    create role authenticated;
+    create role service_role;
+
+    create table public.users (
+        id uuid primary key,
+        email text,
+        name text,
+        credits_remaining integer not null default 0,
+        has_unlimited_access boolean not null default false,
+        last_credit_reset timestamptz,
+        last_used_at timestamptz,
+        created_at timestamptz not null default now()
+    );
+
+    create table public.super_coupons (
+        id uuid primary key default gen_random_uuid(),
+        coupon_code text not null unique,
+        is_active boolean not null default true,
+        created_at timestamptz not null default now()
+    );
+
+    create table public.prompt_guides (
+        id uuid primary key default gen_random_uuid(),
+        platform text not null,
+        version text not null,
+        guide jsonb,
+        created_at timestamptz not null default now()
+    );
+`;
+
+const USER_ID = '00000000-0000-0000-0000-000000000001';
+
+// Functions only the server calls (with the service role key) and tables that
+// clients must not reach through the REST API
+const SERVER_ONLY_FUNCTIONS = [
+    'public.spend_credits(uuid, integer, text)',
+    'public.refund_credits(uuid, text)',
+    'public.reset_credits(uuid, integer, timestamptz, text)',
+    'public.redeem_coupon(text, uuid)',
+    'public.get_feedback_stats(timestamptz)',
+    'public.get_experiment_results(text)',
+    'public.activate_prompt_guide(uuid)',
+    'public.spend_workspace_credits(uuid, uuid, integer, text)',
+    'public.reset_workspace_credits(uuid, uuid, integer, timestamptz, text)',
+    'public.get_workspace_usage(uuid, timestamptz)'
+];
+const PRIVATE_TABLES = [
+    'public.credit_transactions',
+    'public.coupon_redemptions',
+    'public.enhancement_history',
+    'public.enhancement_feedback',
+    'public.experiments',
+    'public.prompt_templates',
+    'public.workspaces',
+    'public.workspace_members',
+    'public.workspace_invites'
+];
+
+// A fresh database with every migration applied in order
+async function createDatabase() {
+    const db = new PGlite();
+    await db.exec(BASE_SCHEMA);
+    for (const file of fs.readdirSync(MIGRATIONS_DIR).filter(name => name.endsWith('.sql')).sort()) {
+        await db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8'));
+    }
+    return db;
+}
+
+async function getBalance(db) {
+    const { rows } = await db.query('select credits_remaining, bonus_credits, last_credit_reset from public.users where id = $1', [USER_ID]);
+    return rows[0];
+}
+
+// Reset to a plan allowance the way the server does (compare-and-swap on last_credit_reset)
+async function resetCredits(db, amount) {
+    const { last_credit_reset: lastReset } = await getBalance(db);
+    const { rows } = await db.query('select * from public.reset_credits($1, $2, $3)', [USER_ID, amount, lastReset]);
+    return rows[0];
+}
+
+test('bonus credits from a coupon survive the next reset', async (t) => {
+    const db = await createDatabase();
+    t.after(() => db.close());
+
+    await db.query('insert into public.users (id, credits_remaining, last_credit_reset) values ($1, 8, now())', [USER_ID]);
+    await db.query("insert into public.super_coupons (coupon_code, coupon_type, credit_amount) values ('BONUS5', 'credits', 5)");
+
+    const { rows: [redemption] } = await db.query("select * from public.redeem_coupon('BONUS5', $1)", [USER_ID]);
+    assert.equal(redemption.status, 'redeemed');
+    assert.equal(redemption.balance_after, 13);
+
+    // Spending stays within the plan credits, so the whole bonus is kept
+    await db.query('select * from public.spend_credits($1, 6)', [USER_ID]);
+    assert.equal((await resetCredits(db, 8)).balance_after, 13);
+
+    // Spending into the bonus keeps only what is left of it
+    await db.query('select * from public.spend_credits($1, 10)', [USER_ID]);
+    assert.equal((await resetCredits(db, 8)).balance_after, 11);
+    assert.equal((await getBalance(db)).bonus_credits, 3);
+});
+
+test('a user with unlimited access can still redeem coupons that add something', async (t) => {
+    const db = await createDatabase();
+    t.after(() => db.close());
+
+    await db.query('insert into public.users (id, credits_remaining, has_unlimited_access) values ($1, 0, true)', [USER_ID]);
+    await db.query(`
+        insert into public.super_coupons (coupon_code, coupon_type, credit_amount)
+        values ('FOREVER', 'unlimited', null), ('BONUS5', 'credits', 5)
+    `);
+
+    const redeem = async (code) => (await db.query('select * from public.redeem_coupon($1, $2)', [code, USER_ID])).rows[0];
+
+    // The coupon is validated before the unlimited check
+    assert.equal((await redeem('NO-SUCH-CODE')).status, 'not_found');
+    assert.equal((await redeem('FOREVER')).status, 'already_unlimited');
+    assert.equal((await redeem('BONUS5')).status, 'redeemed');
+
+    const { rows: [coupon] } = await db.query("select redemption_count from public.super_coupons where coupon_code = 'FOREVER'");
+    assert.equal(coupon.redemption_count, 0);
+});
+
+test('a reset without bonus credits refills to the allowance', async (t) => {
+    const db = await createDatabase();
+    t.after(() => db.close());
+
+    await db.query('insert into public.users (id, credits_remaining) values ($1, 2)', [USER_ID]);
+    assert.equal((await resetCredits(db, 8)).balance_after, 8);
+
+    // A stale last_credit_reset loses the compare-and-swap
+    const { rows } = await db.query('select * from public.reset_credits($1, 8, null)', [USER_ID]);
+    assert.deepEqual(rows, []);
+});
+
+test('repeated feedback on an enhancement replaces the earlier rating', async (t) => {
+    const db = await createDatabase();
+    t.after(() => db.close());
+
+    await db.query('insert into public.users (id) values ($1)', [USER_ID]);
+    const { rows: [entry] } = await db.query(`
+        insert into public.enhancement_history (user_id, platform, original_prompt, enhanced_prompt, complexity)
+        values ($1, 'ChatGPT', 'poem', 'Write a poem', 'vague')
+        returning id
+    `, [USER_ID]);
+
+    // The same statement PostgREST runs for upsert with onConflict=user_id,history_id
+    for (const rating of ['up', 'up', 'down']) {
+        await db.query(`
+            insert into public.enhancement_feedback (user_id, history_id, platform, complexity, rating)
+            values ($1, $2, 'ChatGPT', 'vague', $3)
+            on conflict (user_id, history_id) do update set rating = excluded.rating
+        `, [USER_ID, entry.id, rating]);
+    }
+
+    const { rows: [stats] } = await db.query("select total, thumbs_up, thumbs_down from public.get_feedback_stats() where dimension = 'complexity'");
+    assert.deepEqual(stats, { total: 1, thumbs_up: 0, thumbs_down: 1 });
+});
+
+test('server-only functions and tables are closed to client roles', async (t) => {
+    const db = await createDatabase();
+    t.after(() => db.close());
+
+    for (const signature of SERVER_ONLY_FUNCTIONS) {
+        const { rows: [privileges] } = await db.query(`
+            select has_function_privilege('anon', $1, 'execute') as anon,
+                   has_function_privilege('authenticated', $1, 'execute') as authenticated,
+                   has_function_privilege('service_role', $1, 'execute') as service_role
+        `, [signature]);
+        assert.deepEqual(privileges, { anon: false, authenticated: false, service_role: true }, signature);
+    }
+
+    for (const table of PRIVATE_TABLES) {
+        const { rows: [{ relrowsecurity: rowLevelSecurity }] } = await db.query('select relrowsecurity from pg_class where oid = $1::regclass', [table]);
+        assert.equal(rowLevelSecurity, true, table);
+    }
+});
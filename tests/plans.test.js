@@ -0,0 +1,59 @@
+// Import required modules
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_PLAN, getPlan, getOperationCost, isValidTimeZone, getNextReset, isResetDue } = require('../plans');
+
+// =============================================================================
+// PLANS - Lookup and reset period math
+// =============================================================================
+
+const dailyRolling = { period: 'daily', reset_mode: 'rolling' };
+const dailyCalendar = { period: 'daily', reset_mode: 'calendar' };
+const monthlyRolling = { period: 'monthly', reset_mode: 'rolling' };
+const monthlyCalendar = { period: 'monthly', reset_mode: 'calendar' };
+
+test('getPlan falls back to the default plan', () => {
+    assert.equal(getPlan('no-such-plan').name, DEFAULT_PLAN);
+    assert.equal(getPlan('pro').name, 'pro');
+});
+
+test('getOperationCost defaults to one credit', () => {
+    assert.equal(getOperationCost('enhance.vague'), 2);
+    assert.equal(getOperationCost('unknown.operation'), 1);
+});
+
+test('isValidTimeZone accepts IANA names only', () => {
+    assert.equal(isValidTimeZone('Europe/Berlin'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus'), false);
+    assert.equal(isValidTimeZone(null), false);
+});
+
+test('rolling periods start at the last reset', () => {
+    assert.equal(getNextReset(dailyRolling, '2025-03-10T15:30:00Z').toISOString(), '2025-03-11T15:30:00.000Z');
+    assert.equal(getNextReset(monthlyRolling, '2025-01-15T08:00:00Z').toISOString(), '2025-02-15T08:00:00.000Z');
+});
+
+test('calendar periods reset at local midnight', () => {
+    assert.equal(getNextReset(dailyCalendar, '2025-03-10T15:30:00Z', 'UTC').toISOString(), '2025-03-11T00:00:00.000Z');
+    // 23:30 UTC is already the next day in Berlin (UTC+1 in winter)
+    assert.equal(getNextReset(dailyCalendar, '2025-01-10T23:30:00Z', 'Europe/Berlin').toISOString(), '2025-01-11T23:00:00.000Z');
+    assert.equal(getNextReset(monthlyCalendar, '2025-12-20T12:00:00Z', 'UTC').toISOString(), '2026-01-01T00:00:00.000Z');
+});
+
+test('calendar periods follow daylight saving changes', () => {
+    // New York moves to UTC-4 on 2025-03-09
+    assert.equal(getNextReset(dailyCalendar, '2025-03-08T12:00:00Z', 'America/New_York').toISOString(), '2025-03-09T05:00:00.000Z');
+    assert.equal(getNextReset(dailyCalendar, '2025-03-09T12:00:00Z', 'America/New_York').toISOString(), '2025-03-10T04:00:00.000Z');
+});
+
+test('an invalid timezone is treated as UTC', () => {
+    assert.equal(getNextReset(dailyCalendar, '2025-03-10T15:30:00Z', 'Not/AZone').toISOString(), '2025-03-11T00:00:00.000Z');
+});
+
+test('isResetDue compares against the next reset', () => {
+    const lastReset = '2025-03-10T15:30:00Z';
+    assert.equal(isResetDue(dailyRolling, lastReset, 'UTC', new Date('2025-03-11T15:29:59Z')), false);
+    assert.equal(isResetDue(dailyRolling, lastReset, 'UTC', new Date('2025-03-11T15:30:00Z')), true);
+    assert.equal(isResetDue(dailyRolling, null, 'UTC', new Date('2030-01-01T00:00:00Z')), false);
+    assert.equal(isResetDue({ ...dailyRolling, unlimited: true }, lastReset, 'UTC', new Date('2030-01-01T00:00:00Z')), false);
+});
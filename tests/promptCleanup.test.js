@@ -0,0 +1,44 @@
+// Import required modules
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cleanEnhancedPrompt, createPrefixStripper } = require('../promptCleanup');
+
+// =============================================================================
+// OUTPUT CLEANUP
+// =============================================================================
+
+// Feed chunks through a fresh stripper and collect what each push returns
+function strip(chunks) {
+    const stripper = createPrefixStripper();
+    const pushed = chunks.map(chunk => stripper.push(chunk));
+    return { pushed, flushed: stripper.flush() };
+}
+
+test('cleanEnhancedPrompt removes a leading label in any case', () => {
+    assert.equal(cleanEnhancedPrompt('  Refined Prompt:\n Write a poem '), 'Write a poem');
+    assert.equal(cleanEnhancedPrompt('HERE IS YOUR ENHANCED PROMPT: Write a poem'), 'Write a poem');
+    assert.equal(cleanEnhancedPrompt('Write a poem. Enhanced Prompt: keep it'), 'Write a poem. Enhanced Prompt: keep it');
+});
+
+test('the prefix stripper removes a label split across chunks', () => {
+    assert.deepEqual(strip(['Enh', 'anced Pro', 'mpt: Write', ' a poem']), {
+        pushed: ['', '', 'Write', ' a poem'],
+        flushed: ''
+    });
+});
+
+test('the prefix stripper releases held text once it cannot be a label', () => {
+    assert.deepEqual(strip(['Here', ' are three ideas']), {
+        pushed: ['', 'Here are three ideas'],
+        flushed: ''
+    });
+});
+
+test('the prefix stripper skips leading whitespace, also after a label', () => {
+    assert.deepEqual(strip(['\n\n', 'Write', ' it']).pushed, ['', 'Write', ' it']);
+    assert.deepEqual(strip(['Improved Prompt:', ' \n ', 'Write']).pushed, ['', '', 'Write']);
+});
+
+test('flush returns text still held back at the end of the stream', () => {
+    assert.deepEqual(strip(['  Impro']), { pushed: [''], flushed: 'Impro' });
+});
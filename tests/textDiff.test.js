@@ -0,0 +1,48 @@
+// Import required modules
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenizeWords, wordEditDistance, wordDiff, summarizeWordDiff } = require('../textDiff');
+
+// =============================================================================
+// TEXT DIFF HELPERS
+// =============================================================================
+
+// Space-separated words w0 .. w<count-1> with a prefix
+function makeWords(prefix, count) {
+    return Array.from({ length: count }, (_, index) => `${prefix}${index}`).join(' ');
+}
+
+test('tokenizeWords splits on whitespace and keeps punctuation', () => {
+    assert.deepEqual(tokenizeWords('  Hello,  world!\nBye '), ['Hello,', 'world!', 'Bye']);
+    assert.deepEqual(tokenizeWords(null), []);
+});
+
+test('wordEditDistance counts word edits', () => {
+    assert.deepEqual(wordEditDistance('a b c d', 'a x c d'), { distance: 1, normalized: 0.25 });
+    assert.deepEqual(wordEditDistance('the cat sat', 'the dog sat down'), { distance: 2, normalized: 0.5 });
+    assert.deepEqual(wordEditDistance('', 'a b'), { distance: 2, normalized: 1 });
+    assert.deepEqual(wordEditDistance('', ''), { distance: 0, normalized: 0 });
+});
+
+test('wordEditDistance bounds very large texts instead of aligning them', () => {
+    const result = wordEditDistance(`start ${makeWords('a', 3000)} end`, `start ${makeWords('b', 3000)} end`);
+    assert.equal(result.distance, 3000);
+});
+
+test('wordDiff returns merged equal/delete/insert runs', () => {
+    const operations = wordDiff('write a poem about cats', 'write a short poem about dogs');
+    assert.deepEqual(operations.map(({ type, text }) => ({ type, text })), [
+        { type: 'equal', text: 'write a' },
+        { type: 'insert', text: 'short' },
+        { type: 'equal', text: 'poem about' },
+        { type: 'delete', text: 'cats' },
+        { type: 'insert', text: 'dogs' }
+    ]);
+    assert.deepEqual(summarizeWordDiff(operations), { equal: 4, insert: 2, delete: 1 });
+});
+
+test('wordDiff reports a large middle as one delete/insert pair', () => {
+    const operations = wordDiff(`start ${makeWords('a', 2500)} end`, `start ${makeWords('b', 2500)} end`);
+    assert.deepEqual(operations.map(operation => operation.type), ['equal', 'delete', 'insert', 'equal']);
+    assert.deepEqual(summarizeWordDiff(operations), { equal: 2, insert: 2500, delete: 2500 });
+});
@@ -0,0 +1,58 @@
+// Import required modules
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The Supabase client is created on import but never called by these tests
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+const { hasRole, validateWorkspaceSettings, toSettingColumns } = require('../workspaces');
+
+// =============================================================================
+// TEAM WORKSPACES - Roles and settings validation
+// =============================================================================
+
+test('hasRole ranks owner over admin over member', () => {
+    assert.equal(hasRole('owner', 'admin'), true);
+    assert.equal(hasRole('admin', 'admin'), true);
+    assert.equal(hasRole('member', 'admin'), false);
+    assert.equal(hasRole(undefined, 'member'), false);
+});
+
+test('validateWorkspaceSettings accepts complete settings', () => {
+    assert.deepEqual(validateWorkspaceSettings({
+        name: 'Docs team',
+        credit_mode: 'allowance',
+        member_allowance: 20,
+        timezone: 'Europe/Berlin'
+    }), []);
+});
+
+test('validateWorkspaceSettings requires a name unless partial', () => {
+    assert.deepEqual(validateWorkspaceSettings({}), ['name must be a non-empty string of at most 100 characters']);
+    assert.deepEqual(validateWorkspaceSettings({ credit_mode: 'pool' }, { partial: true }), []);
+    assert.equal(validateWorkspaceSettings({ name: '   ' }, { partial: true }).length, 1);
+    assert.equal(validateWorkspaceSettings({ name: 'x'.repeat(101) }).length, 1);
+});
+
+test('validateWorkspaceSettings reports each bad field', () => {
+    const errors = validateWorkspaceSettings({
+        name: 'Team',
+        plan: 'pro',
+        credit_mode: 'shared',
+        member_allowance: -1,
+        timezone: 'Mars/Olympus'
+    });
+    assert.deepEqual(errors, [
+        'Unknown field "plan"',
+        'credit_mode must be one of: pool, allowance',
+        'member_allowance must be a non-negative integer',
+        'timezone must be an IANA timezone such as "Europe/Berlin"'
+    ]);
+    assert.deepEqual(validateWorkspaceSettings(null), ['The request body must be an object']);
+    assert.deepEqual(validateWorkspaceSettings([]), ['The request body must be an object']);
+});
+
+test('toSettingColumns trims the name and keeps only given settings', () => {
+    assert.deepEqual(toSettingColumns({ name: '  Team  ', member_allowance: 0 }), { name: 'Team', member_allowance: 0 });
+});
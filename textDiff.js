@@ -0,0 +1,148 @@
+// =============================================================================
+// TEXT DIFF HELPERS
+// =============================================================================
+
+// Split text into words, keeping punctuation attached to its word
+function tokenizeWords(text) {
+    return String(text || '').split(/\s+/).filter(word => word.length > 0);
+}
+
+// Above this many cells (words of one text times words of the other, after
+// the common prefix and suffix) texts are not aligned word by word: the
+// distance is taken as the longer middle, and wordDiff reports the middle as
+// one delete/insert pair
+const MAX_DIFF_CELLS = 4000000;
+
+// Word-level Levenshtein distance between two texts
+function wordEditDistance(textA, textB) {
+    const wordsA = tokenizeWords(textA);
+    const wordsB = tokenizeWords(textB);
+    const longest = Math.max(wordsA.length, wordsB.length);
+
+    // Common prefix and suffix cost nothing
+    let start = 0;
+    while (start < wordsA.length && start < wordsB.length && wordsA[start] === wordsB[start]) {
+        start++;
+    }
+    let endA = wordsA.length;
+    let endB = wordsB.length;
+    while (endA > start && endB > start && wordsA[endA - 1] === wordsB[endB - 1]) {
+        endA--;
+        endB--;
+    }
+    const middleA = wordsA.slice(start, endA);
+    const middleB = wordsB.slice(start, endB);
+
+    let distance;
+    if ((middleA.length + 1) * (middleB.length + 1) > MAX_DIFF_CELLS) {
+        // Upper bound: substitute the shorter middle and insert the rest
+        distance = Math.max(middleA.length, middleB.length);
+    } else {
+        // Two-row dynamic programming keeps memory linear in the length of textB
+        let previous = Array.from({ length: middleB.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= middleA.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= middleB.length; j++) {
+                const substitution = previous[j - 1] + (middleA[i - 1] === middleB[j - 1] ? 0 : 1);
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+            }
+            previous = current;
+        }
+        distance = previous[middleB.length];
+    }
+
+    return {
+        distance: distance,
+        normalized: longest > 0 ? Number((distance / longest).toFixed(4)) : 0
+    };
+}
+
+// Append a word to the diff, merging runs of the same operation
+function pushDiffWord(operations, type, word) {
+    const last = operations[operations.length - 1];
+    if (last && last.type === type) {
+        last.text += ` ${word}`;
+        last.words += 1;
+    } else {
+        operations.push({ type: type, text: word, words: 1 });
+    }
+}
+
+// Word-level diff from textA to textB as a list of equal/delete/insert runs
+function wordDiff(textA, textB) {
+    const wordsA = tokenizeWords(textA);
+    const wordsB = tokenizeWords(textB);
+
+    // Common prefix and suffix need no alignment
+    let start = 0;
+    while (start < wordsA.length && start < wordsB.length && wordsA[start] === wordsB[start]) {
+        start++;
+    }
+    let endA = wordsA.length;
+    let endB = wordsB.length;
+    while (endA > start && endB > start && wordsA[endA - 1] === wordsB[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const operations = [];
+    wordsA.slice(0, start).forEach(word => pushDiffWord(operations, 'equal', word));
+
+    const middleA = wordsA.slice(start, endA);
+    const middleB = wordsB.slice(start, endB);
+    const rows = middleA.length + 1;
+    const columns = middleB.length + 1;
+
+    if (rows * columns > MAX_DIFF_CELLS) {
+        middleA.forEach(word => pushDiffWord(operations, 'delete', word));
+        middleB.forEach(word => pushDiffWord(operations, 'insert', word));
+    } else {
+        // lcs[i][j] = longest common subsequence of middleA[i..] and middleB[j..]
+        const lcs = new Uint32Array(rows * columns);
+        for (let i = middleA.length - 1; i >= 0; i--) {
+            for (let j = middleB.length - 1; j >= 0; j--) {
+                lcs[i * columns + j] = middleA[i] === middleB[j]
+                    ? lcs[(i + 1) * columns + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * columns + j], lcs[i * columns + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < middleA.length && j < middleB.length) {
+            if (middleA[i] === middleB[j]) {
+                pushDiffWord(operations, 'equal', middleA[i]);
+                i++;
+                j++;
+            } else if (lcs[(i + 1) * columns + j] >= lcs[i * columns + j + 1]) {
+                pushDiffWord(operations, 'delete', middleA[i]);
+                i++;
+            } else {
+                pushDiffWord(operations, 'insert', middleB[j]);
+                j++;
+            }
+        }
+        middleA.slice(i).forEach(word => pushDiffWord(operations, 'delete', word));
+        middleB.slice(j).forEach(word => pushDiffWord(operations, 'insert', word));
+    }
+
+    wordsA.slice(endA).forEach(word => pushDiffWord(operations, 'equal', word));
+
+    return operations;
+}
+
+// Word counts per operation type for a wordDiff result
+function summarizeWordDiff(operations) {
+    const summary = { equal: 0, insert: 0, delete: 0 };
+    operations.forEach(operation => {
+        summary[operation.type] += operation.words;
+    });
+    return summary;
+}
+
+module.exports = {
+    tokenizeWords,
+    wordEditDistance,
+    wordDiff,
+    summarizeWordDiff
+};
@@ -0,0 +1,161 @@
+// Import required libraries
+const supabase = require('./supabaseClient');
+const { preferences: preferenceText } = require('./_data/meta_prompts.json');
+
+// =============================================================================
+// USER PREFERENCES - Style profile merged into the enhancement meta-prompt
+// =============================================================================
+
+// The choices for length, tone and format are the keys of the matching blocks
+// in _data/meta_prompts.json, so a new choice only needs its instruction line.
+const PREFERENCE_CHOICES = {
+    length: Object.keys(preferenceText.length),
+    tone: Object.keys(preferenceText.tone),
+    format: Object.keys(preferenceText.format)
+};
+
+const MAX_AUDIENCE_LENGTH = 200;
+const MAX_RULES = 10;
+const MAX_RULE_LENGTH = 200;
+
+const PREFERENCE_FIELDS = ['length', 'tone', 'format', 'audience', 'rules'];
+
+// A prompt that states one of these itself overrides the matching preference.
+// Patterns run on the glossed prompt, so they are English.
+const PROMPT_OVERRIDES = {
+    length: /\b(brief|briefly|short|shorter|concise|long|longer|detailed|in detail|thorough|one-liner|(under|at most|no more than|less than|maximum) \d+|\d+ (words|sentences|paragraphs|lines|bullet points))\b/,
+    tone: /\b(tone|formal|formally|informal|casual|friendly|professional|playful|serious|humorous|funny|polite)\b/,
+    format: /\b(markdown|plain text|xml|json|yaml|csv|table|bullet points|bulleted list|numbered list|headings?|format(ted)?)\b/,
+    audience: /\b(audience|readers?|for (beginners|experts|kids|children|students|developers|engineers|managers|executives|non-technical|a non-technical)|explain like)\b/
+};
+
+// Check a preferences profile from a request body. Returns a list of error messages.
+function validatePreferences(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return ['preferences must be an object'];
+    }
+
+    const errors = [];
+
+    Object.keys(input).forEach(key => {
+        if (!PREFERENCE_FIELDS.includes(key)) {
+            errors.push(`Unknown preference "${key}"`);
+        }
+    });
+
+    Object.entries(PREFERENCE_CHOICES).forEach(([key, choices]) => {
+        if (input[key] !== undefined && input[key] !== null && !choices.includes(input[key])) {
+            errors.push(`${key} must be one of: ${choices.join(', ')}`);
+        }
+    });
+
+    if (input.audience !== undefined && input.audience !== null
+        && (typeof input.audience !== 'string' || input.audience.length > MAX_AUDIENCE_LENGTH)) {
+        errors.push(`audience must be a string of at most ${MAX_AUDIENCE_LENGTH} characters`);
+    }
+
+    if (input.rules !== undefined && input.rules !== null) {
+        const validRules = Array.isArray(input.rules) && input.rules.length <= MAX_RULES
+            && input.rules.every(rule => typeof rule === 'string' && rule.trim() && rule.length <= MAX_RULE_LENGTH);
+        if (!validRules) {
+            errors.push(`rules must be a list of at most ${MAX_RULES} non-empty strings of at most ${MAX_RULE_LENGTH} characters`);
+        }
+    }
+
+    return errors;
+}
+
+// Drop unset fields so the stored profile only holds what the user chose
+function normalizePreferences(input) {
+    const preferences = {};
+    Object.keys(PREFERENCE_CHOICES).forEach(key => {
+        if (input[key]) {
+            preferences[key] = input[key];
+        }
+    });
+    if (typeof input.audience === 'string' && input.audience.trim()) {
+        preferences.audience = input.audience.trim();
+    }
+    if (Array.isArray(input.rules) && input.rules.length > 0) {
+        preferences.rules = input.rules.map(rule => rule.trim());
+    }
+    return preferences;
+}
+
+// Combine a workspace's shared preferences with the user's own: the user's
+// choices win, and the rules of both apply (workspace rules first)
+function mergePreferences(workspacePreferences, userPreferences) {
+    const shared = normalizePreferences(workspacePreferences || {});
+    const own = normalizePreferences(userPreferences || {});
+    const merged = { ...shared, ...own };
+
+    const rules = [...(shared.rules || []), ...(own.rules || [])]
+        .filter((rule, index, all) => all.indexOf(rule) === index);
+    if (rules.length > 0) {
+        merged.rules = rules;
+    }
+
+    return merged;
+}
+
+// Split a profile into the preferences to apply and the ones the prompt
+// overrides by stating its own length, tone, format or audience.
+// `promptText` should be the glossed prompt.
+function resolvePreferences(preferences, promptText) {
+    const applied = {};
+    const overridden = [];
+    const promptLower = String(promptText || '').toLowerCase();
+
+    Object.entries(normalizePreferences(preferences || {})).forEach(([key, value]) => {
+        if (PROMPT_OVERRIDES[key] && PROMPT_OVERRIDES[key].test(promptLower)) {
+            overridden.push(key);
+        } else {
+            applied[key] = value;
+        }
+    });
+
+    return { applied, overridden };
+}
+
+// The stored profile of a user (empty when none was saved)
+async function getPreferences(userId) {
+    const { data, error } = await supabase
+        .from('users')
+        .select('preferences')
+        .eq('id', userId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Failed to fetch preferences: ${error.message}`);
+    }
+
+    return normalizePreferences((data && data.preferences) || {});
+}
+
+// Replace a user's profile; resolves to the stored profile or null when the
+// user has no record yet
+async function savePreferences(userId, input) {
+    const preferences = normalizePreferences(input);
+
+    const { data, error } = await supabase
+        .from('users')
+        .update({ preferences: preferences })
+        .eq('id', userId)
+        .select('id');
+
+    if (error) {
+        throw new Error(`Failed to update preferences: ${error.message}`);
+    }
+
+    return data.length > 0 ? preferences : null;
+}
+
+module.exports = {
+    PREFERENCE_CHOICES,
+    validatePreferences,
+    normalizePreferences,
+    mergePreferences,
+    resolvePreferences,
+    getPreferences,
+    savePreferences
+};
@@ -0,0 +1,449 @@
+// Import required libraries
+const supabase = require('./supabaseClient');
+const { isValidTimeZone } = require('./plans');
+
+// =============================================================================
+// TEAM WORKSPACES
+// =============================================================================
+
+// A workspace bills its members' enhancements to a shared credit pool that the
+// workspace plan refills. In "allowance" mode each member can also spend at
+// most member_allowance credits per period. Roles:
+//   owner  - everything, including deleting the workspace and per-member usage
+//   admin  - settings, shared preferences, invites and removing members
+//   member - enhance on the workspace's credits and use shared templates
+
+const WORKSPACE_COLUMNS = 'id, name, owner_id, plan, timezone, credit_mode, member_allowance, credits_remaining, last_credit_reset, preferences, created_at, updated_at';
+const MEMBER_COLUMNS = 'workspace_id, user_id, role, credits_remaining, last_credit_reset, joined_at';
+const INVITE_COLUMNS = 'id, workspace_id, email, role, invited_by, created_at';
+
+const ROLE_RANKS = { member: 1, admin: 2, owner: 3 };
+const INVITE_ROLES = ['admin', 'member'];
+const CREDIT_MODES = ['pool', 'allowance'];
+const MAX_NAME_LENGTH = 100;
+const MAX_OWNED_WORKSPACES = 3;
+
+const SETTING_FIELDS = ['name', 'credit_mode', 'member_allowance', 'timezone'];
+
+// Whether a role is at least the given role
+function hasRole(role, minimumRole) {
+    return (ROLE_RANKS[role] || 0) >= ROLE_RANKS[minimumRole];
+}
+
+// Check workspace settings from a request body. With `partial`, a missing
+// name is allowed (updates). Returns a list of error messages.
+function validateWorkspaceSettings(fields, { partial = false } = {}) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        return ['The request body must be an object'];
+    }
+
+    const errors = [];
+
+    Object.keys(fields).forEach(key => {
+        if (!SETTING_FIELDS.includes(key)) {
+            errors.push(`Unknown field "${key}"`);
+        }
+    });
+
+    const validName = typeof fields.name === 'string' && fields.name.trim() && fields.name.length <= MAX_NAME_LENGTH;
+    if (fields.name !== undefined ? !validName : !partial) {
+        errors.push(`name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+    }
+    if (fields.credit_mode !== undefined && !CREDIT_MODES.includes(fields.credit_mode)) {
+        errors.push(`credit_mode must be one of: ${CREDIT_MODES.join(', ')}`);
+    }
+    if (fields.member_allowance !== undefined && !(Number.isInteger(fields.member_allowance) && fields.member_allowance >= 0)) {
+        errors.push('member_allowance must be a non-negative integer');
+    }
+    if (fields.timezone !== undefined && fields.timezone !== null && !isValidTimeZone(fields.timezone)) {
+        errors.push('timezone must be an IANA timezone such as "Europe/Berlin"');
+    }
+
+    return errors;
+}
+
+// Normalize settings into column values
+function toSettingColumns(fields) {
+    const columns = {};
+    SETTING_FIELDS.forEach(key => {
+        if (fields[key] !== undefined) {
+            columns[key] = key === 'name' ? fields[key].trim() : fields[key];
+        }
+    });
+    return columns;
+}
+
+// Create a workspace on a plan with its creator as owner. The pool starts
+// with the plan's allowance, which is none until an admin assigns a plan.
+async function createWorkspace(ownerId, fields, plan) {
+    const now = new Date().toISOString();
+
+    const { data: workspace, error } = await supabase
+        .from('workspaces')
+        .insert([
+            {
+                ...toSettingColumns(fields),
+                owner_id: ownerId,
+                plan: plan.name,
+                credits_remaining: plan.allowance || 0,
+                last_credit_reset: now
+            }
+        ])
+        .select(WORKSPACE_COLUMNS)
+        .single();
+
+    if (error) {
+        throw new Error(`Failed to create workspace: ${error.message}`);
+    }
+
+    try {
+        await addMember(workspace.id, ownerId, 'owner');
+    } catch (memberError) {
+        // Don't leave a workspace without an owner behind
+        await deleteWorkspace(workspace.id);
+        throw memberError;
+    }
+
+    return workspace;
+}
+
+// How many workspaces a user owns
+async function countOwnedWorkspaces(userId) {
+    const { data, error } = await supabase
+        .from('workspaces')
+        .select('id')
+        .eq('owner_id', userId);
+
+    if (error) {
+        throw new Error(`Failed to fetch workspaces: ${error.message}`);
+    }
+
+    return data.length;
+}
+
+// Fetch a workspace (null if missing)
+async function getWorkspace(workspaceId) {
+    const { data, error } = await supabase
+        .from('workspaces')
+        .select(WORKSPACE_COLUMNS)
+        .eq('id', workspaceId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Failed to fetch workspace: ${error.message}`);
+    }
+
+    return data;
+}
+
+// Change a workspace's settings; resolves to the updated row or null
+async function updateWorkspace(workspaceId, changes) {
+    const { data, error } = await supabase
+        .from('workspaces')
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('id', workspaceId)
+        .select(WORKSPACE_COLUMNS)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Failed to update workspace: ${error.message}`);
+    }
+
+    return data;
+}
+
+// Delete a workspace with its memberships and invites
+async function deleteWorkspace(workspaceId) {
+    const { error } = await supabase
+        .from('workspaces')
+        .delete()
+        .eq('id', workspaceId);
+
+    if (error) {
+        throw new Error(`Failed to delete workspace: ${error.message}`);
+    }
+}
+
+// The workspaces a user belongs to, each with the user's role
+async function listUserWorkspaces(userId) {
+    const { data: memberships, error } = await supabase
+        .from('workspace_members')
+        .select(MEMBER_COLUMNS)
+        .eq('user_id', userId);
+
+    if (error) {
+        throw new Error(`Failed to fetch workspaces: ${error.message}`);
+    }
+
+    if (memberships.length === 0) {
+        return [];
+    }
+
+    const { data: workspaces, error: workspaceError } = await supabase
+        .from('workspaces')
+        .select(WORKSPACE_COLUMNS)
+        .in('id', memberships.map(membership => membership.workspace_id))
+        .order('created_at', { ascending: true });
+
+    if (workspaceError) {
+        throw new Error(`Failed to fetch workspaces: ${workspaceError.message}`);
+    }
+
+    return workspaces.map(workspace => ({
+        ...workspace,
+        role: memberships.find(membership => membership.workspace_id === workspace.id).role
+    }));
+}
+
+// Ids of the workspaces a user belongs to
+async function listWorkspaceIds(userId) {
+    const { data, error } = await supabase
+        .from('workspace_members')
+        .select('workspace_id')
+        .eq('user_id', userId);
+
+    if (error) {
+        throw new Error(`Failed to fetch workspaces: ${error.message}`);
+    }
+
+    return data.map(membership => membership.workspace_id);
+}
+
+// A user's membership of a workspace (null if not a member)
+async function getMembership(workspaceId, userId) {
+    const { data, error } = await supabase
+        .from('workspace_members')
+        .select(MEMBER_COLUMNS)
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Failed to fetch workspace membership: ${error.message}`);
+    }
+
+    return data;
+}
+
+// Members of a workspace with their email and name, oldest first
+async function listMembers(workspaceId) {
+    const { data: members, error } = await supabase
+        .from('workspace_members')
+        .select(MEMBER_COLUMNS)
+        .eq('workspace_id', workspaceId)
+        .order('joined_at', { ascending: true });
+
+    if (error) {
+        throw new Error(`Failed to fetch workspace members: ${error.message}`);
+    }
+
+    if (members.length === 0) {
+        return [];
+    }
+
+    const { data: users, error: userError } = await supabase
+        .from('users')
+        .select('id, email, name')
+        .in('id', members.map(member => member.user_id));
+
+    if (userError) {
+        throw new Error(`Failed to fetch workspace members: ${userError.message}`);
+    }
+
+    return members.map(member => {
+        const user = users.find(row => row.id === member.user_id) || {};
+        return { ...member, email: user.email || null, name: user.name || null };
+    });
+}
+
+// Add a user to a workspace. Allowance members get their first allowance when
+// they first spend.
+async function addMember(workspaceId, userId, role) {
+    const { data, error } = await supabase
+        .from('workspace_members')
+        .insert([{ workspace_id: workspaceId, user_id: userId, role: role }])
+        .select(MEMBER_COLUMNS)
+        .single();
+
+    if (error) {
+        throw new Error(`Failed to add workspace member: ${error.message}`);
+    }
+
+    return data;
+}
+
+// Change a member's role; resolves to the updated membership or null
+async function updateMemberRole(workspaceId, userId, role) {
+    const { data, error } = await supabase
+        .from('workspace_members')
+        .update({ role: role })
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', userId)
+        .select(MEMBER_COLUMNS)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Failed to update workspace member: ${error.message}`);
+    }
+
+    return data;
+}
+
+// Remove a member; their enhancements go back to personal billing if this
+// was their active workspace. Resolves to whether anything was removed.
+async function removeMember(workspaceId, userId) {
+    const { data, error } = await supabase
+        .from('workspace_members')
+        .delete()
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', userId)
+        .select('user_id');
+
+    if (error) {
+        throw new Error(`Failed to remove workspace member: ${error.message}`);
+    }
+
+    if (data.length === 0) {
+        return false;
+    }
+
+    const { error: userError } = await supabase
+        .from('users')
+        .update({ active_workspace_id: null })
+        .eq('id', userId)
+        .eq('active_workspace_id', workspaceId);
+
+    if (userError) {
+        throw new Error(`Failed to clear active workspace: ${userError.message}`);
+    }
+
+    return true;
+}
+
+// Switch the workspace a user's enhancements are billed to (null = personal)
+async function setActiveWorkspace(userId, workspaceId) {
+    const { error } = await supabase
+        .from('users')
+        .update({ active_workspace_id: workspaceId })
+        .eq('id', userId);
+
+    if (error) {
+        throw new Error(`Failed to update active workspace: ${error.message}`);
+    }
+}
+
+// Invite an email address to a workspace
+async function createInvite(workspaceId, email, role, invitedBy) {
+    const { data, error } = await supabase
+        .from('workspace_invites')
+        .insert([
+            {
+                workspace_id: workspaceId,
+                email: email.trim().toLowerCase(),
+                role: role,
+                invited_by: invitedBy
+            }
+        ])
+        .select(INVITE_COLUMNS)
+        .single();
+
+    if (error) {
+        throw new Error(`Failed to create workspace invite: ${error.message}`);
+    }
+
+    return data;
+}
+
+// Pending invites of a workspace, or for an email address when `email` is given
+async function listInvites({ workspaceId = null, email = null } = {}) {
+    let query = supabase
+        .from('workspace_invites')
+        .select(INVITE_COLUMNS)
+        .order('created_at', { ascending: false });
+
+    if (workspaceId) {
+        query = query.eq('workspace_id', workspaceId);
+    }
+    if (email) {
+        query = query.eq('email', email.trim().toLowerCase());
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+        throw new Error(`Failed to fetch workspace invites: ${error.message}`);
+    }
+
+    return data;
+}
+
+// Fetch an invite (null if missing)
+async function getInvite(inviteId) {
+    const { data, error } = await supabase
+        .from('workspace_invites')
+        .select(INVITE_COLUMNS)
+        .eq('id', inviteId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Failed to fetch workspace invite: ${error.message}`);
+    }
+
+    return data;
+}
+
+// Delete an invite; resolves to whether anything was deleted
+async function deleteInvite(inviteId) {
+    const { data, error } = await supabase
+        .from('workspace_invites')
+        .delete()
+        .eq('id', inviteId)
+        .select('id');
+
+    if (error) {
+        throw new Error(`Failed to delete workspace invite: ${error.message}`);
+    }
+
+    return data.length > 0;
+}
+
+// Credits each current member spent from a workspace, net of refunds
+async function getWorkspaceUsage(workspaceId, { since = null } = {}) {
+    const { data, error } = await supabase.rpc('get_workspace_usage', {
+        p_workspace_id: workspaceId,
+        p_since: since
+    });
+
+    if (error) {
+        throw new Error(`Failed to fetch workspace usage: ${error.message}`);
+    }
+
+    return data || [];
+}
+
+module.exports = {
+    INVITE_ROLES,
+    CREDIT_MODES,
+    MAX_OWNED_WORKSPACES,
+    hasRole,
+    validateWorkspaceSettings,
+    toSettingColumns,
+    createWorkspace,
+    countOwnedWorkspaces,
+    getWorkspace,
+    updateWorkspace,
+    deleteWorkspace,
+    listUserWorkspaces,
+    listWorkspaceIds,
+    getMembership,
+    listMembers,
+    addMember,
+    updateMemberRole,
+    removeMember,
+    setActiveWorkspace,
+    createInvite,
+    listInvites,
+    getInvite,
+    deleteInvite,
+    getWorkspaceUsage
+};